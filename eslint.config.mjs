@@ -61,6 +61,17 @@ export default [
         },
     },
     {
-        ignores: ['node_modules/**', 'src/modlib/**', 'dist/**'],
+        files: ['pages/**/*.js'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'module',
+            globals: {
+                console: 'readonly',
+                self: 'readonly',
+            },
+        },
+    },
+    {
+        ignores: ['node_modules/**', 'src/modlib/**', 'dist/**', 'pages/js/**'],
     },
 ];
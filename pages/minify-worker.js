@@ -0,0 +1,19 @@
+// Runs minifySpatialJson off the page's main thread, so large spatial files do not freeze the tab.
+// Receives { jsonString, options } and posts { type: 'progress', stage, fraction } messages while it works, then
+// { type: 'done', minified, nameMap, warnings } or { type: 'error', message }.
+
+import { minifySpatialJson } from './js/spatial-minifier-core.js';
+
+self.addEventListener('message', ({ data: { jsonString, options } }) => {
+    try {
+        const result = minifySpatialJson(jsonString, {
+            ...options,
+            returnMappings: true,
+            onProgress: ({ stage, fraction }) => self.postMessage({ type: 'progress', stage, fraction }),
+        });
+
+        self.postMessage({ type: 'done', ...result });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message || 'Minification failed.' });
+    }
+});
@@ -0,0 +1,429 @@
+// Deploy helpers shared by deploy.js, rollback.js and the other Portal scripts. No Portal client or CLI code here.
+
+import { TextEncoder } from 'node:util';
+import { Buffer } from 'node:buffer';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { execSync } from 'node:child_process';
+import dotenv from 'dotenv';
+
+export const DEFAULT_NAME_TEMPLATE = '{experienceName} v{version}';
+export const DEFAULT_PUBLISH_STATE = 1;
+
+// Target settings that apply unless package.json's `deployTargetDefaults` or the target itself overrides them.
+export const DEFAULT_DEPLOY_TARGET = {
+    requireCleanTree: true,
+};
+
+const fileContentsToBase64 = (filePath, isJson = false) => {
+    const contents = fs.readFileSync(filePath, 'utf8');
+    return new TextEncoder().encode(isJson ? JSON.stringify(JSON.parse(contents)) : contents);
+};
+
+const createTsAttachment = (filePath, version = '1.0.0') => {
+    return {
+        id: crypto.randomUUID().toString(), // Random UUID for the attachment
+        version,
+        filename: `${path.parse(filePath).name}.ts`, // File name with .ts extension
+        isProcessable: true,
+        processingStatus: 2, // TODO: maybe 0 or 1?
+        attachmentData: { original: fileContentsToBase64(filePath) },
+        attachmentType: 2, // TypeScript attachment type
+        errors: [],
+    };
+};
+
+const createStringsAttachment = (filePath, version = '1.0.0') => {
+    return {
+        id: crypto.randomUUID().toString(), // Random UUID for the attachment
+        version,
+        filename: `${path.parse(filePath).name}.json`, // File name with .ts extension
+        isProcessable: true,
+        processingStatus: 2, // TODO: maybe 0 or 1?
+        attachmentData: { original: fileContentsToBase64(filePath, true) },
+        attachmentType: 4, // Strings attachment type
+        errors: [],
+    };
+};
+
+export const updateAttachments = (attachments, codeFilePath, stringsFilePath, version) => {
+    return attachments.map((attachment) => {
+        if (attachment.attachmentType === 2) return createTsAttachment(codeFilePath, version);
+        if (attachment.attachmentType === 4) return createStringsAttachment(stringsFilePath, version);
+        return attachment;
+    });
+};
+
+/** Raw bytes of an attachment's data, whether it is a byte array or a base64 string (as returned by the API). */
+export const getAttachmentBytes = (attachment) => {
+    const data = attachment?.attachmentData?.original;
+
+    if (data === undefined || data === null) return undefined;
+
+    return typeof data === 'string' ? Buffer.from(data, 'base64') : Buffer.from(data);
+};
+
+/** Filename, size and short sha256 hash of an attachment, or undefined if there is no attachment. */
+export const describeAttachment = (attachment) => {
+    if (!attachment) return undefined;
+
+    const bytes = getAttachmentBytes(attachment);
+
+    return {
+        filename: attachment.filename,
+        size: bytes?.length,
+        hash: bytes ? crypto.createHash('sha256').update(bytes).digest('hex').slice(0, 12) : undefined,
+    };
+};
+
+/** List of `{ field, before, after, changed }` entries describing what a deploy would change. */
+export const buildDeployDiff = (playElement, playElementDesign, updatedPlayElement) => {
+    const entries = [];
+
+    const addEntry = (field, before, after) => {
+        entries.push({ field, before, after, changed: JSON.stringify(before) !== JSON.stringify(after) });
+    };
+
+    addEntry('name', playElement?.name, updatedPlayElement.name);
+    addEntry('description', playElement?.description, updatedPlayElement.description);
+    addEntry('mutators', playElementDesign?.mutators, updatedPlayElement.mutators);
+    addEntry('mapRotation', playElementDesign?.mapRotation, updatedPlayElement.mapRotation);
+    addEntry('playElementSettings', playElement?.playElementSettings, updatedPlayElement.playElementSettings);
+    addEntry('thumbnailUrl', playElement?.thumbnailUrl, updatedPlayElement.thumbnailUrl);
+
+    const oldAttachments = playElementDesign?.attachments ?? [];
+    const newAttachments = updatedPlayElement.attachments ?? [];
+
+    for (let i = 0; i < Math.max(oldAttachments.length, newAttachments.length); ++i) {
+        const before = describeAttachment(oldAttachments[i]);
+        const after = describeAttachment(newAttachments[i]);
+        const label = `attachments[${after?.filename ?? before?.filename ?? i}]`;
+
+        addEntry(`${label}.filename`, before?.filename, after?.filename);
+        addEntry(`${label}.size`, before?.size, after?.size);
+        addEntry(`${label}.hash`, before?.hash, after?.hash);
+    }
+
+    return entries;
+};
+
+const MAX_DIFF_VALUE_LENGTH = 200;
+
+const formatDiffValue = (value) => {
+    if (value === undefined) return '(none)';
+
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+
+    // Data URLs (uploaded thumbnails) and large settings objects would flood the terminal.
+    return text.length > MAX_DIFF_VALUE_LENGTH
+        ? `${text.slice(0, MAX_DIFF_VALUE_LENGTH)}… (${text.length} chars)`
+        : text;
+};
+
+export const printDeployDiff = (entries) => {
+    console.log('');
+    console.log('  Dry run (nothing will be uploaded)');
+    console.log('  ─────────────────────────────────────────');
+
+    for (const { field, before, after, changed } of entries) {
+        if (!changed) {
+            console.log(`    ${field}: unchanged (${formatDiffValue(before)})`);
+            continue;
+        }
+
+        console.log(`  ~ ${field}:`);
+        console.log(`      - ${formatDiffValue(before)}`);
+        console.log(`      + ${formatDiffValue(after)}`);
+    }
+
+    const changedCount = entries.filter((entry) => entry.changed).length;
+
+    console.log('  ─────────────────────────────────────────');
+    console.log(`  ${changedCount} of ${entries.length} fields would change.`);
+    console.log('');
+};
+
+/**
+ * Resolve a named deploy target from the `deployTargets` block in package.json, over `DEFAULT_DEPLOY_TARGET` and the
+ * `deployTargetDefaults` block. Without a target name, this is the single-experience setup: `.env` plus the defaults.
+ */
+export const resolveDeployTarget = (deployTargets, targetName, deployTargetDefaults = {}) => {
+    const defaults = { ...DEFAULT_DEPLOY_TARGET, ...deployTargetDefaults };
+
+    if (!targetName) return { ...defaults, name: undefined };
+
+    const target = deployTargets?.[targetName];
+
+    if (!target) {
+        const available = Object.keys(deployTargets ?? {});
+
+        throw new Error(
+            `Unknown deploy target "${targetName}". ` +
+                (available.length ? `Available targets: ${available.join(', ')}.` : 'No deployTargets in package.json.')
+        );
+    }
+
+    return {
+        ...defaults,
+        ...target,
+        name: targetName,
+        envFile: target.envFile ?? `.env.${targetName}`,
+    };
+};
+
+/** Load the target's env file (if it exists) on top of the values already loaded from `.env`. */
+export const loadDeployTargetEnv = (target) => {
+    if (target.envFile && fs.existsSync(target.envFile)) {
+        dotenv.config({ path: target.envFile, override: true });
+    }
+};
+
+/** Replace `{experienceName}` and `{version}` in a name template. */
+export const formatExperienceName = (template, experienceName, version) => {
+    return template.replace(/\{experienceName\}/g, experienceName).replace(/\{version\}/g, version);
+};
+
+/** True if `git status` reports no uncommitted changes. Throws if git is unavailable or this is not a repo. */
+export const isGitTreeClean = () => {
+    return execSync('git status --porcelain', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim() === '';
+};
+
+/**
+ * The full `updatePlayElement` request: the fetched experience with the given name, publish state and attachments.
+ * Description, mutators, map rotation, settings and thumbnail are kept from the fetched experience unless given.
+ */
+export const buildUpdatedPlayElement = (
+    modId,
+    playElement,
+    playElementDesign,
+    { name, description, publishState, attachments, mutators, mapRotation, playElementSettings, thumbnailUrl }
+) => {
+    return {
+        id: modId,
+        name,
+        description: description ?? playElement?.description,
+        designMetadata: playElementDesign?.designMetadata,
+        mapRotation: mapRotation ?? playElementDesign?.mapRotation,
+        mutators: mutators ?? playElementDesign?.mutators,
+        assetCategories: playElementDesign?.assetCategories,
+        originalModRules: playElementDesign?.modRules?.compatibleRules?.original,
+        playElementSettings: playElementSettings ?? playElement?.playElementSettings,
+        publishState: publishState ?? DEFAULT_PUBLISH_STATE,
+        modLevelDataId: playElementDesign?.modLevelDataId,
+        thumbnailUrl: thumbnailUrl ?? playElement?.thumbnailUrl,
+        attachments,
+    };
+};
+
+// --- Experience manifest ---
+
+export const EXPERIENCE_MANIFEST = 'experience.json';
+
+// Experience fields that can be version-controlled in experience.json and are synced on every deploy.
+export const EXPERIENCE_MANIFEST_FIELDS = [
+    'description',
+    'mutators',
+    'mapRotation',
+    'playElementSettings',
+    'thumbnailUrl',
+];
+
+const THUMBNAIL_MIME_TYPES = { png: 'image/png', jpg: 'image/jpeg' };
+
+/** Load experience.json (or another manifest path). Returns undefined if the file does not exist. */
+export const loadExperienceManifest = (manifestPath = EXPERIENCE_MANIFEST) => {
+    if (!fs.existsSync(manifestPath)) return undefined;
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const unknownFields = Object.keys(manifest).filter(
+        (key) => key !== '$schema' && !EXPERIENCE_MANIFEST_FIELDS.includes(key)
+    );
+
+    if (unknownFields.length > 0) {
+        throw new Error(
+            `${manifestPath} has unknown fields: ${unknownFields.join(', ')}. ` +
+                `Supported fields: ${EXPERIENCE_MANIFEST_FIELDS.join(', ')}.`
+        );
+    }
+
+    return manifest;
+};
+
+/** Path of the thumbnail written by `npm run export-thumbnail`, or undefined if it has not been exported. */
+export const findExportedThumbnail = (distDir = 'dist') => {
+    return Object.keys(THUMBNAIL_MIME_TYPES)
+        .map((ext) => path.join(distDir, `thumbnail.${ext}`))
+        .find((filePath) => fs.existsSync(filePath));
+};
+
+/**
+ * The thumbnail file as a `data:` URL, which is sent as the experience's `thumbnailUrl`. Experimental: Portal does not
+ * document an upload API, and it has not been confirmed that it accepts an inline image here.
+ */
+export const thumbnailToDataUrl = (filePath) => {
+    const mimeType = THUMBNAIL_MIME_TYPES[path.extname(filePath).slice(1).toLowerCase()] ?? 'image/png';
+
+    return `data:${mimeType};base64,${fs.readFileSync(filePath).toString('base64')}`;
+};
+
+/** True for an inline `data:` URL, such as a thumbnail sent with `--thumbnail`. */
+export const isDataUrl = (url) => typeof url === 'string' && url.startsWith('data:');
+
+// Write an inline thumbnail into `dir` as an image file, and return the file's name.
+const writeDataUrlThumbnail = (dir, dataUrl) => {
+    const [, mimeType, data] = dataUrl.match(/^data:([^;,]*);base64,(.*)$/s) ?? [];
+    const ext = Object.keys(THUMBNAIL_MIME_TYPES).find((key) => THUMBNAIL_MIME_TYPES[key] === mimeType) ?? 'png';
+    const file = `thumbnail.${ext}`;
+
+    fs.writeFileSync(path.join(dir, file), Buffer.from(data ?? '', 'base64'));
+
+    return file;
+};
+
+/** The manifest fields as they currently are on a fetched experience (what `npm run pull` writes to experience.json). */
+export const buildExperienceManifest = (playElement, playElementDesign) => {
+    const manifest = {
+        description: playElement?.description,
+        mutators: playElementDesign?.mutators,
+        mapRotation: playElementDesign?.mapRotation,
+        playElementSettings: playElement?.playElementSettings,
+        // An inline thumbnail is a multi-KB data URL, which does not belong in a reviewed manifest.
+        thumbnailUrl: isDataUrl(playElement?.thumbnailUrl) ? undefined : playElement?.thumbnailUrl,
+    };
+
+    return Object.fromEntries(Object.entries(manifest).filter(([, value]) => value !== undefined));
+};
+
+/** Names of the fields set in `manifest` whose values differ in `liveManifest`. */
+export const findManifestDrift = (manifest, liveManifest) => {
+    return Object.keys(manifest ?? {})
+        .filter((key) => EXPERIENCE_MANIFEST_FIELDS.includes(key))
+        .filter((key) => JSON.stringify(manifest[key]) !== JSON.stringify(liveManifest[key]));
+};
+
+// --- Deploy history ---
+
+export const DEPLOY_HISTORY_DIR = 'deploy-history';
+
+const ARCHIVE_MANIFEST = 'manifest.json';
+const ARCHIVE_FETCHED = 'fetched.json';
+
+// Byte arrays (attachment data) do not survive JSON.stringify, so they are stored as `{ "$bytes": "<base64>" }`.
+const archiveReplacer = function (key, value) {
+    const raw = this[key];
+
+    if (ArrayBuffer.isView(raw))
+        return { $bytes: Buffer.from(raw.buffer, raw.byteOffset, raw.byteLength).toString('base64') };
+
+    return value;
+};
+
+const archiveReviver = (key, value) => {
+    if (value && typeof value === 'object' && typeof value.$bytes === 'string') {
+        return new Uint8Array(Buffer.from(value.$bytes, 'base64'));
+    }
+
+    return value;
+};
+
+export const getDeployArchiveDir = (name) => path.join(DEPLOY_HISTORY_DIR, name);
+
+/**
+ * Save a deploy into `deploy-history/<version>/`: the experience as it was fetched before the update, copies of the
+ * uploaded script and strings files, and a manifest with the experience fields that were sent and the target. A version
+ * that is deployed again (e.g. with --version) is saved into `deploy-history/<version>_<time>/` instead, so the earlier
+ * archive is kept.
+ */
+export const archiveDeploy = ({
+    version,
+    target,
+    modId,
+    playElement,
+    playElementDesign,
+    updatedPlayElement,
+    scriptPath,
+    stringsPath,
+}) => {
+    const deployedAt = new Date().toISOString();
+    const dir = fs.existsSync(getDeployArchiveDir(version))
+        ? getDeployArchiveDir(`${version}_${deployedAt.replace(/[:.]/g, '-')}`)
+        : getDeployArchiveDir(version);
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    const scriptFile = path.basename(scriptPath);
+    const stringsFile = path.basename(stringsPath);
+
+    fs.copyFileSync(scriptPath, path.join(dir, scriptFile));
+    fs.copyFileSync(stringsPath, path.join(dir, stringsFile));
+
+    // A thumbnail sent inline is archived as an image file rather than as a data URL in the manifest.
+    const thumbnailFile = isDataUrl(updatedPlayElement.thumbnailUrl)
+        ? writeDataUrlThumbnail(dir, updatedPlayElement.thumbnailUrl)
+        : undefined;
+
+    fs.writeFileSync(
+        path.join(dir, ARCHIVE_FETCHED),
+        JSON.stringify({ playElement, playElementDesign }, archiveReplacer, 4) + '\n'
+    );
+
+    const manifest = {
+        version,
+        target,
+        modId,
+        deployedAt,
+        name: updatedPlayElement.name,
+        description: updatedPlayElement.description,
+        publishState: updatedPlayElement.publishState,
+        mutators: updatedPlayElement.mutators,
+        mapRotation: updatedPlayElement.mapRotation,
+        playElementSettings: updatedPlayElement.playElementSettings,
+        thumbnailUrl: thumbnailFile ? undefined : updatedPlayElement.thumbnailUrl,
+        thumbnailFile,
+        scriptFile,
+        stringsFile,
+    };
+
+    fs.writeFileSync(path.join(dir, ARCHIVE_MANIFEST), JSON.stringify(manifest, null, 4) + '\n');
+
+    return dir;
+};
+
+/**
+ * Load an archived deploy by the name of its folder in deploy-history/: the version, or `<version>_<time>` for a
+ * redeploy of it. Throws if the folder does not exist or is incomplete.
+ */
+export const loadDeployArchive = (name) => {
+    const dir = getDeployArchiveDir(name);
+    const manifestPath = path.join(dir, ARCHIVE_MANIFEST);
+
+    if (!fs.existsSync(manifestPath)) throw new Error(`No archived deploy for version ${name} (${dir}).`);
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    const fetched = JSON.parse(fs.readFileSync(path.join(dir, ARCHIVE_FETCHED), 'utf8'), archiveReviver);
+
+    return {
+        dir,
+        manifest,
+        playElement: fetched.playElement,
+        playElementDesign: fetched.playElementDesign,
+        scriptPath: path.join(dir, manifest.scriptFile),
+        stringsPath: path.join(dir, manifest.stringsFile),
+        thumbnailPath: manifest.thumbnailFile ? path.join(dir, manifest.thumbnailFile) : undefined,
+    };
+};
+
+/** Manifests of all archived deploys, oldest first, each with the name of its folder as `archive`. */
+export const listDeployArchives = () => {
+    if (!fs.existsSync(DEPLOY_HISTORY_DIR)) return [];
+
+    return fs
+        .readdirSync(DEPLOY_HISTORY_DIR)
+        .filter((archive) => fs.existsSync(path.join(DEPLOY_HISTORY_DIR, archive, ARCHIVE_MANIFEST)))
+        .map((archive) => ({
+            ...JSON.parse(fs.readFileSync(path.join(DEPLOY_HISTORY_DIR, archive, ARCHIVE_MANIFEST), 'utf8')),
+            archive,
+        }))
+        .sort((a, b) => String(a.deployedAt).localeCompare(String(b.deployedAt)));
+};
@@ -1,64 +1,67 @@
-import { Clients } from '@bf6mods/portal';
-import { TextEncoder } from 'node:util';
-import crypto from 'node:crypto';
 import fs from 'node:fs';
 import path from 'node:path';
 import dotenv from 'dotenv';
 
-dotenv.config();
-
-const BLACKLIST = ['911', '69', '420', '88', '666'];
-
-/** True if the version string (with dots removed) contains any blacklisted substring. */
-const isVersionBlacklisted = (version) => {
-    const withoutDots = version.replace(/\./g, '');
-    return BLACKLIST.some((s) => withoutDots.includes(s));
-};
-
-const fileContentsToBase64 = (filePath, isJson = false) => {
-    const contents = fs.readFileSync(filePath, 'utf8');
-    return new TextEncoder().encode(isJson ? JSON.stringify(JSON.parse(contents)) : contents);
-};
-
-const createTsAttachment = (filePath, version = '1.0.0') => {
-    return {
-        id: crypto.randomUUID().toString(), // Random UUID for the attachment
-        version,
-        filename: `${path.parse(filePath).name}.ts`, // File name with .ts extension
-        isProcessable: true,
-        processingStatus: 2, // TODO: maybe 0 or 1?
-        attachmentData: { original: fileContentsToBase64(filePath) },
-        attachmentType: 2, // TypeScript attachment type
-        errors: [],
-    };
-};
-
-const createStringsAttachment = (filePath, version = '1.0.0') => {
-    return {
-        id: crypto.randomUUID().toString(), // Random UUID for the attachment
-        version,
-        filename: `${path.parse(filePath).name}.json`, // File name with .ts extension
-        isProcessable: true,
-        processingStatus: 2, // TODO: maybe 0 or 1?
-        attachmentData: { original: fileContentsToBase64(filePath, true) },
-        attachmentType: 4, // Strings attachment type
-        errors: [],
-    };
-};
+import {
+    PortalRequestError,
+    connectToPortal,
+    loadClients,
+    parseRequestOptions,
+    printPortalError,
+} from './portal-client.js';
+import {
+    DEFAULT_NAME_TEMPLATE,
+    EXPERIENCE_MANIFEST,
+    archiveDeploy,
+    buildDeployDiff,
+    buildUpdatedPlayElement,
+    findExportedThumbnail,
+    formatExperienceName,
+    isGitTreeClean,
+    loadDeployTargetEnv,
+    loadExperienceManifest,
+    printDeployDiff,
+    resolveDeployTarget,
+    thumbnailToDataUrl,
+    updateAttachments,
+} from './deploy-core.js';
+import {
+    collectAttachmentErrors,
+    createBundleLocationMapper,
+    printErrorReport,
+    writeErrorReport,
+} from './portal-errors.js';
+import { printValidationReport, validateBundle } from './validate-core.js';
+import {
+    VERSION_BUMPS,
+    bumpVersion,
+    commitDeployFiles,
+    createDeployTag,
+    deployTagExists,
+    findLastDeployTag,
+    formatChangelogEntry,
+    listCommitsSince,
+    parseVersion,
+    prependChangelogEntry,
+    resolveVersionPolicy,
+} from './versioning.js';
 
-const updateAttachments = (attachments, codeFilePath, stringsFilePath, version) => {
-    return attachments.map((attachment) => {
-        if (attachment.attachmentType === 2) return createTsAttachment(codeFilePath, version);
-        if (attachment.attachmentType === 4) return createStringsAttachment(stringsFilePath, version);
-        return attachment;
-    });
-};
+dotenv.config();
 
 const parseArgs = () => {
     const argv = process.argv.slice(2);
     let scriptPath = 'dist/bundle.ts';
     let stringsPath = 'dist/bundle.strings.json';
     let versionBump = 'patch';
+    let dryRun = false;
+    let targetName;
+    let skipValidation = false;
+    let manifestPath = EXPERIENCE_MANIFEST;
+    let uploadThumbnail = false;
+    let version;
+    let prerelease;
+    let changelog = true;
+    let dev = false;
 
     for (let i = 0; i < argv.length; ++i) {
         if (argv[i] === '--script' && argv[i + 1]) {
@@ -68,40 +71,44 @@ const parseArgs = () => {
         } else if (argv[i] === '--versionBump' && argv[i + 1]) {
             const value = argv[++i];
 
-            if (value !== 'patch' && value !== 'minor' && value !== 'major') continue;
+            if (!VERSION_BUMPS.includes(value)) continue;
 
             versionBump = value;
+        } else if (argv[i] === '--dry-run') {
+            dryRun = true;
+        } else if (argv[i] === '--target' && argv[i + 1]) {
+            targetName = argv[++i];
+        } else if (argv[i] === '--skip-validation') {
+            skipValidation = true;
+        } else if (argv[i] === '--manifest' && argv[i + 1]) {
+            manifestPath = argv[++i];
+        } else if (argv[i] === '--thumbnail') {
+            uploadThumbnail = true;
+        } else if (argv[i] === '--version' && argv[i + 1]) {
+            version = argv[++i];
+        } else if (argv[i] === '--prerelease' && argv[i + 1]) {
+            prerelease = argv[++i];
+        } else if (argv[i] === '--no-changelog') {
+            changelog = false;
+        } else if (argv[i] === '--dev') {
+            dev = true;
         }
     }
 
-    return { scriptPath, stringsPath, versionBump };
-};
-
-const bumpVersion = (version, versionBump) => {
-    const parts = version.split('.').map((s) => parseInt(s, 10) || 0);
-
-    let [major = 0, minor = 0, patch = 0] = parts;
-    let candidate;
-
-    do {
-        if (versionBump === 'patch') {
-            patch += 1;
-            candidate = `${major}.${minor}.${patch}`;
-        } else if (versionBump === 'minor') {
-            minor += 1;
-            patch = 0;
-            candidate = `${major}.${minor}.${patch}`;
-        } else if (versionBump === 'major') {
-            major += 1;
-            minor = 0;
-            patch = 0;
-            candidate = `${major}.${minor}.${patch}`;
-        } else {
-            return version;
-        }
-    } while (isVersionBlacklisted(candidate));
-
-    return candidate;
+    return {
+        scriptPath,
+        stringsPath,
+        versionBump,
+        dryRun,
+        targetName,
+        skipValidation,
+        manifestPath,
+        uploadThumbnail,
+        version,
+        prerelease,
+        changelog,
+        dev,
+    };
 };
 
 const packageJsonPath = path.join(process.cwd(), 'package.json');
@@ -109,86 +116,314 @@ const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
 const experienceName = packageJson.experienceName ?? 'My Experience';
 const currentVersion = packageJson.version ?? '0.0.0';
 
-const { scriptPath, stringsPath, versionBump } = parseArgs();
-const newVersion = bumpVersion(currentVersion, versionBump);
+const {
+    scriptPath,
+    stringsPath,
+    versionBump,
+    dryRun,
+    targetName,
+    skipValidation,
+    manifestPath,
+    uploadThumbnail,
+    version: versionOverride,
+    prerelease,
+    changelog,
+    dev,
+} = parseArgs();
+
+let versionPolicy;
+let newVersion;
+let target;
+let experienceManifest;
+let thumbnailPath;
+
+try {
+    versionPolicy = resolveVersionPolicy(packageJson.versionPolicy);
+
+    if (versionOverride && !parseVersion(versionOverride)) {
+        throw new Error(`--version must be in the form x.y.z or x.y.z-prerelease (got "${versionOverride}").`);
+    }
+
+    if (prerelease && !/^[0-9A-Za-z-]+$/.test(prerelease)) {
+        throw new Error(`--prerelease must be a single identifier such as beta or rc (got "${prerelease}").`);
+    }
+
+    // An explicit version is used as given, even if it is blacklisted.
+    newVersion =
+        versionOverride ??
+        bumpVersion(currentVersion, versionBump, { blacklist: versionPolicy.blacklist, preid: prerelease });
+
+    target = resolveDeployTarget(packageJson.deployTargets, targetName, packageJson.deployTargetDefaults);
+    experienceManifest = loadExperienceManifest(manifestPath);
+
+    if (uploadThumbnail) {
+        thumbnailPath = findExportedThumbnail(path.dirname(scriptPath));
+
+        if (!thumbnailPath) throw new Error('No exported thumbnail found. Run `npm run export-thumbnail` first.');
+    }
+} catch (err) {
+    console.error(`  Error: ${err.message}`);
+    process.exit(1);
+}
+
+// Target-specific env files override values from `.env` (e.g. a different MOD_ID per experience).
+loadDeployTargetEnv(target);
+
+const newExperienceName = formatExperienceName(
+    target.nameTemplate ?? versionPolicy.nameTemplate ?? DEFAULT_NAME_TEMPLATE,
+    experienceName,
+    newVersion
+);
 
 console.log('');
 console.log('  Deploy');
 console.log('  ─────────────────────────────────────────');
+
+if (target.name) console.log('  Target:     ', target.name);
+
 console.log('  Script:     ', scriptPath);
 console.log('  Strings:    ', stringsPath);
-console.log('  Version:    ', currentVersion, '→', newVersion, `(${versionBump})`);
-console.log('  Experience: ', `${experienceName} v${newVersion}`);
+console.log(
+    '  Version:    ',
+    currentVersion,
+    '→',
+    newVersion,
+    versionOverride ? '(--version)' : `(${versionBump}${prerelease ? `, ${prerelease}` : ''})`
+);
+console.log('  Experience: ', newExperienceName);
+
+if (experienceManifest) console.log('  Manifest:   ', manifestPath);
+
+if (thumbnailPath) console.log('  Thumbnail:  ', thumbnailPath, '(experimental)');
+
+if (dryRun) console.log('  Mode:       ', 'dry run');
+else if (dev) console.log('  Mode:       ', 'dev (package.json, deploy history and changelog are not updated)');
+
 console.log('  ─────────────────────────────────────────');
 console.log('');
 
+// Dev deploys (see dev.js) run on uncommitted work by design, and record nothing a clean tree would protect.
+if (target.requireCleanTree && !dryRun && !dev) {
+    const destination = target.name ? `"${target.name}"` : 'the experience';
+    let clean = false;
+
+    try {
+        clean = isGitTreeClean();
+    } catch {
+        console.error(`  Error: Could not determine git status; refusing to deploy to ${destination}.`);
+        console.error('  Set requireCleanTree to false (see Deploy Targets in the README) to deploy without git.');
+        process.exit(1);
+    }
+
+    if (!clean) {
+        console.error(`  Error: Refusing to deploy to ${destination} from a dirty git tree.`);
+        console.error('  Commit or stash your changes first (see `git status`).');
+        process.exit(1);
+    }
+}
+
+if (!skipValidation) {
+    let passed = false;
+
+    try {
+        const validation = validateBundle({ scriptPath, stringsPath, limits: packageJson.portalLimits });
+
+        // Unused strings still end up in the uploaded strings file, so deploy fails on them too.
+        passed = printValidationReport(validation, { scriptPath, strict: true });
+    } catch (err) {
+        console.error(`  Error: Validation could not run: ${err.message}`);
+    }
+
+    console.log('');
+
+    if (!passed) {
+        console.error('  Deploy aborted. Fix the problems above, or pass --skip-validation to deploy anyway.');
+        process.exit(1);
+    }
+}
+
 const sessionId = process.env.SESSION_ID;
-const modId = process.env.MOD_ID;
+const modId = target.modId ?? process.env.MOD_ID;
+
+const requestOptions = {
+    ...parseRequestOptions(process.argv.slice(2)),
+    onRetry: (err, attempt, delayMs) => {
+        process.stdout.write(
+            `\r\x1b[K  ${err?.message ?? String(err)} Retrying in ${(delayMs / 1000).toFixed(0)}s (retry ${attempt})…\n`
+        );
+    },
+};
 
-process.stdout.write('  Authenticating…');
-const clients = await new Clients().authenticate({
-    sessionId,
-});
-process.stdout.write('\r\x1b[K  Authenticated.');
+let portal;
+let playElement;
+let playElementDesign;
+
+try {
+    process.stdout.write('  Authenticating…');
+    portal = await connectToPortal({ Clients: await loadClients(), sessionId, requestOptions });
+    process.stdout.write('\r\x1b[K  Authenticated.');
+
+    process.stdout.write('  Fetching experience…');
+    ({ playElement, playElementDesign } = await portal.getPlayElement({
+        id: modId,
+        includeDenied: true,
+    }));
+} catch (err) {
+    process.stdout.write('\r\x1b[K  ✗ Could not fetch the experience.\n');
+    printPortalError(err);
+    process.exit(1);
+}
 
-process.stdout.write('  Fetching experience…');
-const { playElement, playElementDesign } = await clients.play.getPlayElement({
-    id: modId,
-    includeDenied: true,
-});
 process.stdout.write(`\r\x1b[K  Fetched: ${playElement?.name ?? modId}\n`);
 
 const newAttachments = updateAttachments(playElementDesign?.attachments, scriptPath, stringsPath, newVersion);
 
-const updatedPlayElement = {
-    id: modId,
-    name: `${experienceName} v${newVersion}`,
-    description: playElement?.description,
-    designMetadata: playElementDesign?.designMetadata,
-    mapRotation: playElementDesign?.mapRotation,
-    mutators: playElementDesign?.mutators,
-    assetCategories: playElementDesign?.assetCategories,
-    originalModRules: playElementDesign?.modRules?.compatibleRules?.original,
-    playElementSettings: playElement?.playElementSettings,
-    publishState: 1,
-    modLevelDataId: playElementDesign?.modLevelDataId,
-    thumbnailUrl: playElement?.thumbnailUrl,
+const updatedPlayElement = buildUpdatedPlayElement(modId, playElement, playElementDesign, {
+    name: newExperienceName,
+    description: target.description ?? experienceManifest?.description,
+    publishState: target.publishState,
     attachments: newAttachments,
+    mutators: experienceManifest?.mutators,
+    mapRotation: experienceManifest?.mapRotation,
+    playElementSettings: experienceManifest?.playElementSettings,
+    thumbnailUrl: thumbnailPath ? thumbnailToDataUrl(thumbnailPath) : experienceManifest?.thumbnailUrl,
+});
+
+const changelogPath = changelog && !dev ? versionPolicy.changelog || undefined : undefined;
+const deployTag = `${versionPolicy.tagPrefix}${newVersion}`;
+
+const buildChangelogEntry = () => {
+    const sinceTag = findLastDeployTag(versionPolicy.tagPrefix);
+
+    return formatChangelogEntry({
+        version: newVersion,
+        date: new Date().toISOString().slice(0, 10),
+        target: target.name,
+        commits: listCommitsSince(sinceTag),
+        sinceTag,
+    });
 };
 
+if (dryRun) {
+    printDeployDiff(buildDeployDiff(playElement, playElementDesign, updatedPlayElement));
+
+    if (changelogPath) {
+        try {
+            const entry = buildChangelogEntry();
+
+            console.log(`  Changelog entry for ${changelogPath} (tag ${deployTag}):`);
+            console.log('');
+            console.log(entry.replace(/^(?=.)/gm, '    '));
+        } catch (err) {
+            console.log(`  ! Could not read git history for the changelog: ${err.message}`);
+            console.log('');
+        }
+    }
+
+    console.log('  Dry run complete. The experience and package.json were not modified.');
+    process.exit(0);
+}
+
 process.stdout.write(`  Updating experience to version ${newVersion} (this may take up to 10 seconds)…`);
 
 const updateStart = Date.now();
+const errorReportPath = path.join(path.dirname(scriptPath), 'portal-errors.json');
 
 try {
-    const result = await clients.play.updatePlayElement(updatedPlayElement);
+    const result = await portal.updatePlayElement(updatedPlayElement);
+
+    const errors = collectAttachmentErrors(result.playElementDesign?.attachments, {
+        scriptPath,
+        stringsPath,
+        mapLocation: createBundleLocationMapper(scriptPath),
+    });
 
-    for (const attachment of result.playElementDesign?.attachments ?? []) {
-        const errorCount = attachment.errors?.length ?? 0;
+    writeErrorReport(errorReportPath, errors);
 
-        if (errorCount > 0) throw new Error(`${attachment.filename} has ${errorCount} errors.`);
+    if (errors.length > 0) {
+        process.stdout.write('\n');
+        printErrorReport(errors);
+        throw new PortalRequestError(`Portal reported ${errors.length} errors (see ${errorReportPath}).`);
     }
-
+} catch (err) {
     const elapsed = ((Date.now() - updateStart) / 1000).toFixed(1);
-    process.stdout.write(`\r\x1b[K  ✓ Update complete to version ${newVersion} in ${elapsed} seconds.\n`);
+    process.stdout.write(`\r\x1b[K  ✗ Update failed after ${elapsed} seconds.\n`);
+    printPortalError(err);
+    process.exit(1);
+}
+
+const elapsed = ((Date.now() - updateStart) / 1000).toFixed(1);
+process.stdout.write(`\r\x1b[K  ✓ Update complete to version ${newVersion} in ${elapsed} seconds.\n`);
+
+// Dev deploys (see dev.js) are throwaway iterations on the current version, so nothing is recorded.
+if (dev) {
+    console.log('  Done.');
+    process.exit(0);
+}
+
+// The experience is already updated, so from here on a failure is reported as a failed local step, not a failed
+// deploy. Each step still runs, so e.g. a failed archive does not leave package.json on the old version.
+const failedSteps = [];
+
+const runLocalStep = (name, step) => {
+    try {
+        step();
+    } catch (err) {
+        failedSteps.push(name);
+        process.stdout.write(`\r\x1b[K  ✗ Could not ${name}: ${err.message}\n`);
+    }
+};
 
+runLocalStep('archive the deploy', () => {
+    process.stdout.write('  Archiving deploy…');
+    const archiveDir = archiveDeploy({
+        version: newVersion,
+        target: target.name,
+        modId,
+        playElement,
+        playElementDesign,
+        updatedPlayElement,
+        scriptPath,
+        stringsPath,
+    });
+    process.stdout.write(`\r\x1b[K  ✓ Archived to ${archiveDir}.\n`);
+});
+
+runLocalStep('write package.json', () => {
     process.stdout.write('  Writing package.json…');
     packageJson.experienceName = experienceName;
     packageJson.version = newVersion;
     fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 4) + '\n');
     process.stdout.write(`\r\x1b[K  ✓ package.json updated.\n`);
-    console.log('  Done.');
-} catch (err) {
-    const elapsed = ((Date.now() - updateStart) / 1000).toFixed(1);
-    process.stdout.write(`\r\x1b[K  ✗ Update failed after ${elapsed} seconds.\n`);
-    console.error('');
-    console.error('  Error:', err?.message ?? String(err));
+});
+
+if (changelogPath) {
+    // A changelog or tag failure is only a warning.
+    process.stdout.write('  Updating changelog…');
+
+    try {
+        // Redeploying a version (e.g. with --version) must not add a second entry for it.
+        if (deployTagExists(deployTag)) throw new Error(`tag ${deployTag} already exists.`);
 
-    if (err?.stack) {
-        console.error('');
-        console.error(err.stack);
+        prependChangelogEntry(changelogPath, buildChangelogEntry());
+
+        // Tag the commit that records this version, so the tag and the changelog entry agree.
+        commitDeployFiles([changelogPath, packageJsonPath], `Deploy ${newVersion}`);
+        createDeployTag(deployTag);
+        process.stdout.write(`\r\x1b[K  ✓ ${changelogPath} and package.json committed and tagged ${deployTag}.\n`);
+    } catch (err) {
+        process.stdout.write(
+            `\r\x1b[K  ! Could not update the changelog, commit it or create tag ${deployTag}: ${err.message}\n`
+        );
     }
+}
 
-    console.error('');
+if (failedSteps.length > 0) {
+    console.error(
+        `  Error: The experience was deployed as version ${newVersion}, but could not ${failedSteps.join(' or ')}. ` +
+            'Deploying again is not needed; redo the failed step by hand instead.'
+    );
     process.exit(1);
 }
+
+console.log('  Done.');
@@ -0,0 +1,209 @@
+// Watch mode (npm run dev): rebuilds, type-checks and redeploys whenever src/ changes. Deploys use dev versions such as
+// `1.4.2-dev.17` (see deploy.js --dev), so package.json, deploy history and the changelog are left alone.
+
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { clearTimeout, setTimeout } from 'node:timers';
+
+import { bumpVersion, parseVersion, resolveVersionPolicy } from './versioning.js';
+
+const require = createRequire(import.meta.url);
+
+const SOURCE_DIR = 'src';
+
+// Options passed through to deploy.js unchanged, with whether each takes a value.
+const DEPLOY_OPTIONS = { '--target': true, '--timeout': true, '--retries': true, '--skip-validation': false };
+
+const parseArgs = () => {
+    const argv = process.argv.slice(2);
+    let scriptPath = 'dist/bundle.ts';
+    let stringsPath = 'dist/bundle.strings.json';
+    let debounceMs = 1_000;
+    let deploy = true;
+    let typeCheck = true;
+    const deployArgs = [];
+
+    for (let i = 0; i < argv.length; ++i) {
+        if (argv[i] === '--script' && argv[i + 1]) {
+            scriptPath = argv[++i];
+        } else if (argv[i] === '--strings' && argv[i + 1]) {
+            stringsPath = argv[++i];
+        } else if (argv[i] === '--debounce' && argv[i + 1]) {
+            const value = parseInt(argv[++i], 10);
+
+            if (value >= 0) debounceMs = value;
+        } else if (argv[i] === '--no-deploy') {
+            deploy = false;
+        } else if (argv[i] === '--no-typecheck') {
+            typeCheck = false;
+        } else if (Object.hasOwn(DEPLOY_OPTIONS, argv[i])) {
+            deployArgs.push(argv[i]);
+
+            if (DEPLOY_OPTIONS[argv[i]] && argv[i + 1]) deployArgs.push(argv[++i]);
+        }
+    }
+
+    return { scriptPath, stringsPath, debounceMs, deploy, typeCheck, deployArgs };
+};
+
+/** True for the files that affect the bundle: TypeScript sources and strings.json files. */
+const isWatchedFile = (filename) => {
+    // Some platforms do not report the filename, in which case any change counts.
+    if (!filename) return true;
+
+    return filename.endsWith('.ts') || path.basename(filename) === 'strings.json';
+};
+
+/** Run a command with inherited output. Resolves to true if it exits with code 0. */
+const run = (command, args, options = {}) =>
+    new Promise((resolve) => {
+        const child = spawn(command, args, { stdio: 'inherit', ...options });
+
+        child.on('error', (err) => {
+            console.error(`  ✗ Could not run ${command}: ${err.message}`);
+            resolve(false);
+        });
+
+        child.on('close', (code) => resolve(code === 0));
+    });
+
+const { scriptPath, stringsPath, debounceMs, deploy, typeCheck, deployArgs } = parseArgs();
+
+const packageJson = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'package.json'), 'utf8'));
+const currentVersion = packageJson.version ?? '0.0.0';
+
+let versionPolicy;
+
+try {
+    versionPolicy = resolveVersionPolicy(packageJson.versionPolicy);
+} catch (err) {
+    console.error(`  Error: ${err.message}`);
+    process.exit(1);
+}
+
+const nextDevVersion = (version) => bumpVersion(version, 'patch', { blacklist: versionPolicy.blacklist, preid: 'dev' });
+
+// The first dev deploy is a pre-release of the next patch (1.4.1 → 1.4.2-dev.0), then only the dev number increases.
+// `dev` sorts before `rc` and `beta`, so another pre-release is treated as its release (1.4.1-rc.1 → 1.4.2-dev.0).
+const parsedVersion = parseVersion(currentVersion);
+let devVersion = nextDevVersion(
+    parsedVersion && parsedVersion.prerelease.length > 0 && parsedVersion.prerelease[0] !== 'dev'
+        ? `${parsedVersion.major}.${parsedVersion.minor}.${parsedVersion.patch}`
+        : currentVersion
+);
+
+const build = () => run('npm', ['run', 'build', '--silent'], { shell: process.platform === 'win32' });
+
+// Resolved once up front, so a missing TypeScript install is reported at startup instead of failing every cycle.
+const resolveTsc = () => {
+    try {
+        return require.resolve('typescript/bin/tsc');
+    } catch {
+        console.error('  Error: TypeScript is not installed. Run `npm install`, or pass --no-typecheck.');
+        process.exit(1);
+    }
+};
+
+const tscPath = typeCheck ? resolveTsc() : undefined;
+
+const runTypeCheck = () => run(process.execPath, [tscPath, '--noEmit', '-p', '.']);
+
+const runDeploy = () =>
+    run(process.execPath, [
+        path.join('scripts', 'deploy.js'),
+        '--script',
+        scriptPath,
+        '--strings',
+        stringsPath,
+        '--version',
+        devVersion,
+        '--dev',
+        ...deployArgs,
+    ]);
+
+/** One build → type-check → deploy pass. Each step only runs if the previous one succeeded. */
+const runCycle = async (reason) => {
+    const start = Date.now();
+
+    console.log('');
+    console.log(`  ${new Date().toLocaleTimeString()} ${reason}`);
+    console.log('  ─────────────────────────────────────────');
+
+    if (!(await build())) {
+        console.log('  ✗ Build failed. Waiting for changes…');
+        return;
+    }
+
+    if (typeCheck && !(await runTypeCheck())) {
+        console.log('  ✗ Type check failed. Waiting for changes…');
+        return;
+    }
+
+    if (!deploy) {
+        console.log(`  ✓ Built in ${((Date.now() - start) / 1000).toFixed(1)} seconds. Waiting for changes…`);
+        return;
+    }
+
+    if (!(await runDeploy())) {
+        console.log('  ✗ Deploy failed. Waiting for changes…');
+        return;
+    }
+
+    devVersion = nextDevVersion(devVersion);
+    console.log(`  ✓ Cycle complete in ${((Date.now() - start) / 1000).toFixed(1)} seconds. Waiting for changes…`);
+};
+
+let timer;
+let running = false;
+let pendingChanges = new Set();
+
+// Changes made while a cycle is running are picked up by another cycle once it finishes, never by two at once.
+const flush = async (reason) => {
+    if (running || pendingChanges.size === 0) return;
+
+    const changed = [...pendingChanges];
+    pendingChanges = new Set();
+    running = true;
+
+    try {
+        const more = changed.length > 3 ? ` and ${changed.length - 3} more` : '';
+
+        await runCycle(reason ?? `Changed: ${changed.slice(0, 3).join(', ')}${more}`);
+    } finally {
+        running = false;
+    }
+
+    flushAndReport();
+};
+
+// For the calls that nothing awaits: an unexpected error ends the cycle, not the watcher.
+const flushAndReport = (reason) =>
+    flush(reason).catch((err) => {
+        console.error(`  ✗ Cycle failed: ${err?.message ?? String(err)}. Waiting for changes…`);
+    });
+
+const onChange = (_, filename) => {
+    if (!isWatchedFile(filename)) return;
+
+    pendingChanges.add(filename ? path.join(SOURCE_DIR, filename) : SOURCE_DIR);
+
+    clearTimeout(timer);
+    timer = setTimeout(() => flushAndReport(), debounceMs);
+};
+
+console.log('');
+console.log('  Dev');
+console.log('  ─────────────────────────────────────────');
+console.log('  Watching:   ', `${SOURCE_DIR}/**/*.ts, ${SOURCE_DIR}/**/strings.json`);
+console.log('  Type check: ', typeCheck ? 'on' : 'off');
+console.log('  Deploy:     ', deploy ? `on (from ${devVersion})` : 'off');
+console.log('  Debounce:   ', `${debounceMs} ms`);
+console.log('  ─────────────────────────────────────────');
+console.log('  Press Ctrl+C to stop.');
+
+fs.watch(SOURCE_DIR, { recursive: true }, onChange);
+
+pendingChanges.add(SOURCE_DIR);
+flushAndReport('Initial build');
@@ -1,10 +1,11 @@
 import sharp from 'sharp';
-import { existsSync } from 'fs';
+import { existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
+const projectRoot = join(__dirname, '..');
 
 const TARGET_WIDTH = 352;
 const TARGET_HEIGHT = 248;
@@ -22,7 +23,7 @@ const imagePaths = [
 
 let imagePath = null;
 for (const path of imagePaths) {
-    const fullPath = join(__dirname, path);
+    const fullPath = join(projectRoot, path);
 
     if (existsSync(fullPath)) {
         imagePath = fullPath;
@@ -154,7 +155,8 @@ async function processImage() {
 
         // Write output with appropriate extension
         const outputExt = outputFormat === 'png' ? 'png' : 'jpg';
-        const outputPath = join(__dirname, `./dist/thumbnail.${outputExt}`);
+        const outputPath = join(projectRoot, `./dist/thumbnail.${outputExt}`);
+        mkdirSync(dirname(outputPath), { recursive: true });
         await sharp(buffer).toFile(outputPath);
         console.log(`\nOutput saved to: ${outputPath}`);
     } catch (error) {
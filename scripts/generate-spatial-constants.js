@@ -0,0 +1,212 @@
+/**
+ * Generates src/generated/spatials/<map>.ts from every JSON file in spatials/ (project root). Each file exports a
+ * `<Map>Spatials` namespace with typed constants for the HQs, spawn points, capture points, volumes and other objects
+ * in the spatial file. IDs and names are the ones minify-all-spatials.js uploads (with the same
+ * spatial-minifier.config.json), so a constant only compiles while the object exists in the spatial file. `npm run
+ * build` (and so `npm run dev` and deploy) runs this first; the output is gitignored.
+ *
+ * Usage: node scripts/generate-spatial-constants.js [--check]
+ *   --check  Do not write anything; exit with 1 if the generated files are out of date.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { loadMinifierConfig } from './spatial-minifier-config.js';
+import { collectSpatialObjects, minifySpatialJson, parseSpatialJson } from './spatial-minifier-core.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.join(__dirname, '..');
+
+const spatialsDir = path.join(projectRoot, 'spatials');
+const outDir = path.join(projectRoot, 'src', 'generated', 'spatials');
+
+// Each object goes into the first category whose test matches its type.
+const CATEGORIES = [
+    { exportName: 'HQs', test: (type) => type === 'HQ_PlayerSpawner' },
+    { exportName: 'SpawnPoints', test: (type) => type === 'SpawnPoint' },
+    { exportName: 'CapturePoints', test: (type) => type === 'CapturePoint' },
+    { exportName: 'Volumes', test: (type) => /Volume$/.test(type ?? '') },
+    { exportName: 'OtherObjects', test: () => true },
+];
+
+const quote = (value) => `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+/** A valid TypeScript identifier for an ID such as `TEAM_1_HQ/SpawnPoint_1_1` (→ `TEAM_1_HQ_SpawnPoint_1_1`). */
+const toIdentifier = (id) => {
+    const identifier = id.replace(/[^A-Za-z0-9_$]/g, '_');
+
+    return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+};
+
+/** `area_22b-granite_militaryrnd` → `Area22bGraniteMilitaryrndSpatials`. */
+const toNamespaceName = (baseName) => {
+    const name = baseName
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map((part) => part[0].toUpperCase() + part.slice(1))
+        .join('');
+
+    return `${/^[0-9]/.test(name) ? `Map${name}` : name}Spatials`;
+};
+
+const generateModule = (file, namespaceName, jsonContent, minifierConfig, warnings, filesWithoutSpawnPointObjIds) => {
+    // Minify with the same options as minify-all-spatials.js to learn what each object will be renamed to.
+    const { nameMap } = minifySpatialJson(jsonContent, { ...minifierConfig, returnMappings: true });
+    const objects = collectSpatialObjects(parseSpatialJson(jsonContent)).filter((object) => !object.isStatic);
+
+    const entriesByCategory = new Map(CATEGORIES.map(({ exportName }) => [exportName, []]));
+    const usedKeys = new Map(CATEGORIES.map(({ exportName }) => [exportName, new Set()]));
+    const objIdOwners = new Map();
+
+    // `mod.GetSpawnPoint` needs an ObjId, which the exporter only writes for spawn points that were given one.
+    if (objects.some(({ type, objId }) => type === 'SpawnPoint' && objId === undefined)) {
+        filesWithoutSpawnPointObjIds.push(file);
+    }
+
+    for (const object of objects) {
+        const { exportName } = CATEGORIES.find(({ test }) => test(object.type));
+        const keys = usedKeys.get(exportName);
+        let key = toIdentifier(object.id);
+
+        for (let suffix = 2; keys.has(key); ++suffix) key = `${toIdentifier(object.id)}_${suffix}`;
+
+        keys.add(key);
+
+        if (object.objId !== undefined) {
+            if (objIdOwners.has(object.objId)) {
+                warnings.push(
+                    `${file}: ObjId ${object.objId} is used by both ${objIdOwners.get(object.objId)} and ${object.id}`
+                );
+            } else {
+                objIdOwners.set(object.objId, object.id);
+            }
+        }
+
+        const lines = [`        /** Original ID: ${object.id} */`, `        ${key}: {`];
+
+        if (object.objId !== undefined) lines.push(`            objId: ${object.objId},`);
+
+        lines.push(`            id: ${quote(nameMap.get(object.id) ?? object.id)},`);
+
+        if (object.name !== undefined) {
+            lines.push(`            name: ${quote(nameMap.get(object.name) ?? object.name)},`);
+        }
+
+        if (object.type !== undefined) lines.push(`            type: ${quote(object.type)},`);
+
+        lines.push('        },');
+        entriesByCategory.get(exportName).push(lines.join('\n'));
+    }
+
+    const objIds = [...objIdOwners.keys()].sort((a, b) => a - b);
+
+    const sections = CATEGORIES.map(({ exportName }) => {
+        const entries = entriesByCategory.get(exportName);
+
+        return entries.length === 0
+            ? `    export const ${exportName} = {} as const;`
+            : `    export const ${exportName} = {\n${entries.join('\n')}\n    } as const;`;
+    });
+
+    return [
+        `// Generated by \`npm run generate-spatials\` from spatials/${file}. Do not edit by hand.`,
+        '// `id` and `name` are the values after `npm run minify-spatials` renames them, i.e. what Portal sees.',
+        '',
+        `export namespace ${namespaceName} {`,
+        sections.join('\n\n'),
+        '',
+        '    /** Every ObjId in this spatial file. */',
+        `    export type ObjId = ${objIds.length > 0 ? objIds.join(' | ') : 'never'};`,
+        '}',
+        '',
+    ].join('\n');
+};
+
+const check = process.argv.slice(2).includes('--check');
+
+const files = fs.existsSync(spatialsDir) ? fs.readdirSync(spatialsDir).filter((f) => f.endsWith('.json')) : [];
+
+if (files.length === 0) {
+    console.log('No JSON files found in spatials/');
+    process.exit(0);
+}
+
+let minifierConfig;
+
+try {
+    minifierConfig = loadMinifierConfig();
+} catch (error) {
+    console.log(`Error: ${error.message}`);
+    process.exit(1);
+}
+
+const outputs = new Map();
+const warnings = [];
+const filesWithoutSpawnPointObjIds = [];
+let hadError = false;
+
+for (const file of files) {
+    const baseName = path.basename(file, '.json');
+
+    try {
+        const jsonContent = fs.readFileSync(path.join(spatialsDir, file), 'utf8');
+
+        outputs.set(
+            `${baseName}.ts`,
+            generateModule(
+                file,
+                toNamespaceName(baseName),
+                jsonContent,
+                minifierConfig,
+                warnings,
+                filesWithoutSpawnPointObjIds
+            )
+        );
+    } catch (error) {
+        console.log(`Error: ${file}: ${error.message}`);
+        hadError = true;
+    }
+}
+
+for (const warning of warnings) console.log(`Warning: ${warning}`);
+
+if (filesWithoutSpawnPointObjIds.length > 0) {
+    console.log(
+        `Note: spawn points without an ObjId get no objId constant (in ${filesWithoutSpawnPointObjIds.length} of ` +
+            `${files.length} files). Give them one in Godot, or add them with the spatial builder, to look them up ` +
+            'with mod.GetSpawnPoint.'
+    );
+}
+
+// Generated files whose spatial file was removed are deleted, so stale constants stop compiling.
+const existing = fs.existsSync(outDir) ? fs.readdirSync(outDir).filter((f) => f.endsWith('.ts')) : [];
+const stale = existing.filter((f) => !outputs.has(f));
+const changed = [...outputs].filter(([f, content]) => {
+    const outPath = path.join(outDir, f);
+    return !fs.existsSync(outPath) || fs.readFileSync(outPath, 'utf8') !== content;
+});
+
+if (check) {
+    for (const [f] of changed) console.log(`Out of date: src/generated/spatials/${f}`);
+    for (const f of stale) console.log(`Stale: src/generated/spatials/${f}`);
+
+    if (changed.length > 0 || stale.length > 0) {
+        console.log('Run `npm run generate-spatials` to update them.');
+        process.exit(1);
+    }
+
+    console.log(`Generated spatial constants are up to date (${files.length} files).`);
+    process.exit(hadError ? 1 : 0);
+}
+
+fs.mkdirSync(outDir, { recursive: true });
+
+for (const [f, content] of changed) fs.writeFileSync(path.join(outDir, f), content, 'utf8');
+for (const f of stale) fs.rmSync(path.join(outDir, f));
+
+console.log(
+    `Generated constants for ${files.length} spatial files in src/generated/spatials/ (${changed.length} updated, ${stale.length} removed).`
+);
+
+process.exit(hadError ? 1 : 0);
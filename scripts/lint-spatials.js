@@ -0,0 +1,103 @@
+/**
+ * Lints spatial JSON files for broken references and structural errors (see spatial-lint-core.js).
+ * Checks every JSON file in spatials/ (project root), or the files given as arguments. Exits with 1 if any file has
+ * errors (or warnings, with --strict), so it can gate deploys. Extra reference properties in spatial-minifier.config.json
+ * are checked too.
+ *
+ * Usage: node scripts/lint-spatials.js [--strict] [--max-outside METERS] [file ...]
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { DEFAULT_MAX_DISTANCE_OUTSIDE_COMBAT_AREA, lintSpatialJson } from './spatial-lint-core.js';
+import { loadMinifierConfig } from './spatial-minifier-config.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.join(__dirname, '..');
+
+const parseArgs = () => {
+    const argv = process.argv.slice(2);
+    const files = [];
+    let strict = false;
+    let maxDistanceOutsideCombatArea = DEFAULT_MAX_DISTANCE_OUTSIDE_COMBAT_AREA;
+
+    for (let i = 0; i < argv.length; ++i) {
+        if (argv[i] === '--strict') {
+            strict = true;
+        } else if (argv[i] === '--max-outside' && argv[i + 1]) {
+            const value = Number(argv[++i]);
+
+            if (value >= 0) maxDistanceOutsideCombatArea = value;
+        } else if (!argv[i].startsWith('-')) {
+            files.push(argv[i]);
+        }
+    }
+
+    return { files, strict, maxDistanceOutsideCombatArea };
+};
+
+const { files: fileArgs, strict, maxDistanceOutsideCombatArea } = parseArgs();
+
+const spatialsDir = path.join(projectRoot, 'spatials');
+
+const files =
+    fileArgs.length > 0
+        ? fileArgs
+        : fs.existsSync(spatialsDir)
+          ? fs
+                .readdirSync(spatialsDir)
+                .filter((f) => f.endsWith('.json'))
+                .map((f) => path.relative(process.cwd(), path.join(spatialsDir, f)))
+          : [];
+
+if (files.length === 0) {
+    console.log('No JSON files found in spatials/');
+    process.exit(0);
+}
+
+let minifierConfig;
+
+try {
+    minifierConfig = loadMinifierConfig();
+} catch (error) {
+    console.log(`Error: ${error.message}`);
+    process.exit(1);
+}
+
+let failedFiles = 0;
+let warningCount = 0;
+
+for (const file of files) {
+    let result;
+
+    try {
+        result = lintSpatialJson(fs.readFileSync(file, 'utf8'), { ...minifierConfig, maxDistanceOutsideCombatArea });
+    } catch (error) {
+        console.log(`  ✗ ${file}: ${error.message}`);
+        ++failedFiles;
+        continue;
+    }
+
+    const failures = strict ? [...result.errors, ...result.warnings] : result.errors;
+    const notes = strict ? [] : result.warnings;
+
+    if (failures.length === 0 && notes.length === 0) continue;
+
+    console.log(`  ${file}`);
+
+    for (const { check, id, message } of failures) console.log(`    ✗ [${check}] ${id}: ${message}`);
+    for (const { check, id, message } of notes) console.log(`    ! [${check}] ${id}: ${message}`);
+
+    if (failures.length > 0) ++failedFiles;
+
+    warningCount += notes.length;
+}
+
+if (failedFiles === 0) {
+    console.log(`  ✓ ${files.length} spatial file(s) passed${warningCount ? ` with ${warningCount} warning(s)` : ''}.`);
+} else {
+    console.log(`  ✗ ${failedFiles} of ${files.length} spatial file(s) have problems.`);
+}
+
+process.exit(failedFiles === 0 ? 0 : 1);
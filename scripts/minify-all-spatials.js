@@ -1,17 +1,51 @@
 /**
- * Cross-platform script to run spatial-minifier.js on every JSON file in spatials/ (project root).
- * Outputs to dist/spatials/ with the same filenames.
+ * Minifies every JSON file in spatials/ (project root) in parallel worker threads (see minify-worker.js).
+ * Outputs to dist/spatials/ with the same filenames, and saves each name map (for --restore) to dist/spatials/name-maps/.
+ * Preserved names and extra reference properties come from spatial-minifier.config.json.
+ *
+ * Usage: node scripts/minify-all-spatials.js [--jobs N]
+ *   --jobs N  Number of files to minify at once (default: the number of CPU cores).
  */
-import { spawnSync } from 'child_process';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Worker } from 'node:worker_threads';
+
+import { loadMinifierConfig } from './spatial-minifier-config.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const projectRoot = path.join(__dirname, '..');
 
 const spatialsDir = path.join(projectRoot, 'spatials');
 const distSpatialsDir = path.join(projectRoot, 'dist', 'spatials');
+const nameMapsDir = path.join(distSpatialsDir, 'name-maps');
+
+const parseArgs = () => {
+    const argv = process.argv.slice(2);
+    let jobs = os.availableParallelism();
+
+    for (let i = 0; i < argv.length; ++i) {
+        if (argv[i] === '--jobs' && argv[i + 1]) {
+            const value = parseInt(argv[++i], 10);
+
+            if (value >= 1) jobs = value;
+        }
+    }
+
+    return { jobs };
+};
+
+const { jobs } = parseArgs();
+
+let minifierConfig;
+
+try {
+    minifierConfig = loadMinifierConfig();
+} catch (error) {
+    console.log(`Error: ${error.message}`);
+    process.exit(1);
+}
 
 fs.mkdirSync(distSpatialsDir, { recursive: true });
 
@@ -22,20 +56,72 @@ if (files.length === 0) {
     process.exit(0);
 }
 
-let hadError = false;
+const formatBytes = (bytes) => `${bytes.toLocaleString()} bytes`;
+
+/** Minify the files in `queue` on one worker thread, one at a time. Resolves to the number of files that failed. */
+const runWorker = (queue) =>
+    new Promise((resolve) => {
+        const worker = new Worker(path.join(__dirname, 'minify-worker.js'), { workerData: minifierConfig });
+        let failed = 0;
+        let current;
 
-for (const file of files) {
-    const inputPath = path.join(spatialsDir, file);
-    const outPath = path.join(distSpatialsDir, file);
+        const next = () => {
+            current = queue.shift();
 
-    const result = spawnSync(process.execPath, ['spatial-minifier.js', '--out', outPath, '--input', inputPath], {
-        cwd: __dirname,
-        stdio: 'inherit',
+            if (current === undefined) {
+                worker.terminate().then(() => resolve(failed));
+                return;
+            }
+
+            worker.postMessage({
+                inputPath: path.join(spatialsDir, current),
+                outPath: path.join(distSpatialsDir, current),
+                mapPath: path.join(nameMapsDir, current.replace(/\.json$/, '.name-map.json')),
+            });
+        };
+
+        worker.on('message', ({ error, originalSize, minifiedSize, nameCount, warnings }) => {
+            if (error) {
+                console.log(`  ✗ ${current}: ${error}`);
+                ++failed;
+            } else {
+                const reduction = (((originalSize - minifiedSize) / originalSize) * 100).toFixed(1);
+
+                console.log(
+                    `  ✓ ${current}: ${formatBytes(originalSize)} → ${formatBytes(minifiedSize)} (-${reduction}%), ` +
+                        `${nameCount} names/IDs replaced`
+                );
+
+                for (const warning of warnings) console.log(`    Warning: ${warning}`);
+            }
+
+            next();
+        });
+
+        // A crashed worker fails the file it was on; the files left in the queue go to the other workers.
+        worker.on('error', (err) => {
+            console.log(`  ✗ ${current}: ${err.message}`);
+            resolve(failed + 1);
+        });
+
+        next();
     });
 
-    if (result.status !== 0) {
-        hadError = true;
-    }
+const start = Date.now();
+const queue = [...files];
+const workerCount = Math.min(jobs, files.length);
+
+console.log(`Minifying ${files.length} spatial files with ${workerCount} worker thread(s)...`);
+
+const failedCounts = await Promise.all(Array.from({ length: workerCount }, () => runWorker(queue)));
+// Files still queued (only if every worker crashed) count as failed too.
+const failed = failedCounts.reduce((sum, count) => sum + count, queue.length);
+const seconds = ((Date.now() - start) / 1000).toFixed(1);
+
+if (failed === 0) {
+    console.log(`Minified ${files.length} files into dist/spatials/ in ${seconds} seconds.`);
+} else {
+    console.log(`${failed} of ${files.length} files failed.`);
 }
 
-process.exit(hadError ? 1 : 0);
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,30 @@
+// Worker thread for minify-all-spatials.js. Each message names one spatial file to minify; the worker writes the
+// minified file and its name map and replies with the sizes and any warnings. `workerData` is the minifier config.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { parentPort, workerData } from 'node:worker_threads';
+
+import { minifySpatialJson } from './spatial-minifier-core.js';
+
+parentPort.on('message', ({ inputPath, outPath, mapPath }) => {
+    try {
+        const jsonContent = fs.readFileSync(inputPath, 'utf8');
+        const { minified, nameMap, warnings } = minifySpatialJson(jsonContent, { ...workerData, returnMappings: true });
+
+        fs.mkdirSync(path.dirname(outPath), { recursive: true });
+        fs.writeFileSync(outPath, minified, 'utf8');
+        fs.mkdirSync(path.dirname(mapPath), { recursive: true });
+        fs.writeFileSync(mapPath, JSON.stringify(Object.fromEntries(nameMap), null, 4), 'utf8');
+
+        parentPort.postMessage({
+            inputPath,
+            originalSize: fs.statSync(inputPath).size,
+            minifiedSize: fs.statSync(outPath).size,
+            nameCount: nameMap.size,
+            warnings,
+        });
+    } catch (error) {
+        parentPort.postMessage({ inputPath, error: error.message });
+    }
+});
@@ -0,0 +1,236 @@
+// Timeouts, retries and session-expiry handling around the `@bf6mods/portal` Clients API. Used by deploy.js and
+// rollback.js.
+
+import path from 'node:path';
+import { setTimeout, clearTimeout } from 'node:timers';
+import { pathToFileURL } from 'node:url';
+
+export const DEFAULT_REQUEST_OPTIONS = {
+    timeoutMs: 60_000,
+    retries: 3,
+    retryDelayMs: 1_000,
+};
+
+const SESSION_HELP =
+    'Log in at https://portal.battlefield.com, use "Get Session ID" in the BF6 Portal Dev Sidekick extension ' +
+    '(extension/src), and update SESSION_ID in .env.';
+
+const TRANSIENT_ERROR_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'UND_ERR_CONNECT_TIMEOUT',
+    'UND_ERR_SOCKET',
+]);
+
+// gRPC status codes: 4 DEADLINE_EXCEEDED, 8 RESOURCE_EXHAUSTED, 14 UNAVAILABLE, 16 UNAUTHENTICATED.
+const TRANSIENT_GRPC_CODES = new Set([4, 8, 14]);
+const UNAUTHENTICATED_GRPC_CODE = 16;
+
+/** Base class for expected Portal request failures, which are reported without a stack trace. */
+export class PortalRequestError extends Error {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'PortalRequestError';
+    }
+}
+
+export class PortalTimeoutError extends PortalRequestError {
+    constructor(label, timeoutMs) {
+        super(`${label} timed out after ${timeoutMs / 1000} seconds.`);
+        this.name = 'PortalTimeoutError';
+    }
+}
+
+export class SessionExpiredError extends PortalRequestError {
+    constructor(reason, options) {
+        super(`${reason} ${SESSION_HELP}`, options);
+        this.name = 'SessionExpiredError';
+    }
+}
+
+const getStatus = (err) => err?.status ?? err?.statusCode ?? err?.response?.status;
+
+/** True if the error looks like an expired or invalid session (HTTP 401/403 or gRPC UNAUTHENTICATED). */
+export const isSessionExpiredError = (err) => {
+    if (err instanceof SessionExpiredError) return true;
+
+    const status = getStatus(err);
+
+    if (status === 401 || status === 403 || err?.code === UNAUTHENTICATED_GRPC_CODE) return true;
+
+    return /unauthenticated|unauthori[sz]ed|session (has )?expired|invalid session/i.test(err?.message ?? '');
+};
+
+/** True if retrying the request may succeed (timeouts, dropped connections, rate limits and 5xx responses). */
+export const isTransientError = (err) => {
+    if (err instanceof PortalTimeoutError) return true;
+
+    if (isSessionExpiredError(err)) return false;
+
+    const status = getStatus(err);
+
+    if (status === 408 || status === 429 || (status >= 500 && status < 600)) return true;
+
+    if (TRANSIENT_ERROR_CODES.has(err?.code ?? err?.cause?.code) || TRANSIENT_GRPC_CODES.has(err?.code)) return true;
+
+    return /socket hang up|network|temporarily unavailable|service unavailable|fetch failed/i.test(err?.message ?? '');
+};
+
+/**
+ * True if the request timed out, so it may have reached Portal and been applied even though no response came back.
+ * Refused connections, rate limits and other 5xx responses are not timeouts: Portal did not apply those requests.
+ */
+export const isTimeoutError = (err) =>
+    err instanceof PortalTimeoutError ||
+    getStatus(err) === 408 ||
+    getStatus(err) === 504 ||
+    err?.code === 4 ||
+    (err?.code ?? err?.cause?.code) === 'ETIMEDOUT';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Reject with a `PortalTimeoutError` if the promise does not settle within `timeoutMs`. */
+export const withTimeout = (promise, timeoutMs, label) => {
+    let timer;
+
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new PortalTimeoutError(label, timeoutMs)), timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Call `request` with a timeout, retrying transient failures with exponential backoff (`retryDelayMs`, then double
+ * that, and so on). Session-expiry errors are rethrown as `SessionExpiredError` and never retried. A request that is not
+ * `idempotent` is not retried after a timeout either, since the timed-out attempt may have been applied.
+ * @param {string} label - Name of the request, used in messages.
+ * @param {() => Promise<any>} request - Function that starts the request.
+ * @param {object} [options] - `timeoutMs`, `retries`, `retryDelayMs`, `idempotent` (defaults to true) and an
+ * `onRetry(err, attempt, delayMs)` callback.
+ */
+export const callPortal = async (label, request, options = {}) => {
+    const { timeoutMs, retries, retryDelayMs, idempotent = true } = { ...DEFAULT_REQUEST_OPTIONS, ...options };
+
+    for (let attempt = 0; ; ++attempt) {
+        try {
+            return await withTimeout(Promise.resolve().then(request), timeoutMs, label);
+        } catch (err) {
+            if (isSessionExpiredError(err)) {
+                throw new SessionExpiredError(`${label} failed: your Portal session has expired or is invalid.`, {
+                    cause: err,
+                });
+            }
+
+            if (!isTransientError(err)) throw err;
+
+            if (!idempotent && isTimeoutError(err)) {
+                throw new PortalRequestError(
+                    `${label} failed: ${err?.message ?? String(err)} It was not retried because it may still have ` +
+                        'been applied. Check the experience in Portal before trying again.',
+                    { cause: err }
+                );
+            }
+
+            if (attempt >= retries) {
+                throw new PortalRequestError(
+                    `${label} failed after ${attempt + 1} attempts: ${err?.message ?? String(err)}`,
+                    { cause: err }
+                );
+            }
+
+            const delayMs = retryDelayMs * 2 ** attempt;
+
+            options.onRetry?.(err, attempt + 1, delayMs);
+
+            await sleep(delayMs);
+        }
+    }
+};
+
+const readIntegerEnv = (name, min) => {
+    const value = parseInt(process.env[name] ?? '', 10);
+
+    return value >= min ? value : undefined;
+};
+
+/**
+ * Request options from `--timeout <ms>` / `--retries <n>` arguments, falling back to the `PORTAL_TIMEOUT_MS` and
+ * `PORTAL_RETRIES` environment variables and then the defaults.
+ */
+export const parseRequestOptions = (argv) => {
+    const options = {
+        timeoutMs: readIntegerEnv('PORTAL_TIMEOUT_MS', 1) ?? DEFAULT_REQUEST_OPTIONS.timeoutMs,
+        retries: readIntegerEnv('PORTAL_RETRIES', 0) ?? DEFAULT_REQUEST_OPTIONS.retries,
+    };
+
+    for (let i = 0; i < argv.length; ++i) {
+        if (argv[i] === '--timeout' && argv[i + 1]) {
+            const value = parseInt(argv[++i], 10);
+
+            if (value > 0) options.timeoutMs = value;
+        } else if (argv[i] === '--retries' && argv[i + 1]) {
+            const value = parseInt(argv[++i], 10);
+
+            if (value >= 0) options.retries = value;
+        }
+    }
+
+    return options;
+};
+
+/**
+ * The `Clients` class to use: from `@bf6mods/portal`, or from the module named by `PORTAL_CLIENTS_MODULE` (a path
+ * relative to the project root) so the scripts can be run against a local stub implementation.
+ */
+export const loadClients = async () => {
+    const modulePath = process.env.PORTAL_CLIENTS_MODULE;
+
+    if (!modulePath) return (await import('@bf6mods/portal')).Clients;
+
+    const stub = await import(pathToFileURL(path.resolve(modulePath)).href);
+
+    if (!stub.Clients) throw new Error(`${modulePath} does not export a Clients class.`);
+
+    return stub.Clients;
+};
+
+/**
+ * Authenticate and return a small facade over `clients.play` whose calls all go through `callPortal`.
+ * @param {object} params
+ * @param {Function} params.Clients - Clients class (see `loadClients`).
+ * @param {string | undefined} params.sessionId - Portal session ID.
+ * @param {object} [params.requestOptions] - Options passed to `callPortal`.
+ */
+export const connectToPortal = async ({ Clients, sessionId, requestOptions }) => {
+    if (!sessionId) throw new SessionExpiredError('SESSION_ID is not set.');
+
+    const clients = await callPortal('Authentication', () => new Clients().authenticate({ sessionId }), requestOptions);
+
+    return {
+        getPlayElement: (request) =>
+            callPortal('Fetching the experience', () => clients.play.getPlayElement(request), requestOptions),
+        // An update that timed out may have been applied, so it is only retried after errors that say it was not.
+        updatePlayElement: (request) =>
+            callPortal('Updating the experience', () => clients.play.updatePlayElement(request), {
+                ...requestOptions,
+                idempotent: false,
+            }),
+    };
+};
+
+/** Print an error from a Portal script, with the stack trace only for unexpected errors. */
+export const printPortalError = (err) => {
+    console.error('');
+    console.error('  Error:', err?.message ?? String(err));
+
+    if (err?.stack && !(err instanceof PortalRequestError)) {
+        console.error('');
+        console.error(err.stack);
+    }
+
+    console.error('');
+};
@@ -0,0 +1,125 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { afterEach, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+
+import { PortalRequestError, PortalTimeoutError, SessionExpiredError, connectToPortal } from './portal-client.js';
+import { Clients } from './stub-portal-clients.js';
+
+const SCRIPTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Short timeouts and delays, so the retry paths run quickly. `retryDelays` records the backoff of each retry.
+const connect = async (scenario) => {
+    process.env.PORTAL_STUB_SCENARIO = scenario;
+
+    const retryDelays = [];
+    const portal = await connectToPortal({
+        Clients,
+        sessionId: 'stub',
+        requestOptions: {
+            timeoutMs: 50,
+            retries: 2,
+            retryDelayMs: 10,
+            onRetry: (err, attempt, delayMs) => retryDelays.push(delayMs),
+        },
+    });
+
+    return { portal, retryDelays };
+};
+
+afterEach(() => {
+    delete process.env.PORTAL_STUB_SCENARIO;
+});
+
+test('retries transient errors with exponential backoff', async () => {
+    const { portal, retryDelays } = await connect('flaky');
+    const { playElement } = await portal.getPlayElement({ id: 'stub' });
+
+    assert.equal(playElement.name, 'Stub Experience');
+    assert.deepEqual(retryDelays, [10, 20]);
+});
+
+test('retries fetches that time out, then gives up', async () => {
+    const { portal, retryDelays } = await connect('timeout');
+
+    await assert.rejects(portal.getPlayElement({ id: 'stub' }), (err) => {
+        assert.ok(err instanceof PortalRequestError);
+        assert.ok(err.cause instanceof PortalTimeoutError);
+        assert.match(err.message, /failed after 3 attempts/);
+        return true;
+    });
+
+    assert.deepEqual(retryDelays, [10, 20]);
+});
+
+test('does not retry an update that timed out', async () => {
+    const { portal, retryDelays } = await connect('update-timeout');
+
+    await assert.rejects(
+        portal.updatePlayElement({ id: 'stub' }),
+        /not retried because it may still have been applied/
+    );
+    assert.deepEqual(retryDelays, []);
+});
+
+test('still retries updates after errors that mean they were not applied', async () => {
+    const { portal, retryDelays } = await connect('flaky');
+
+    await portal.updatePlayElement({ id: 'stub' });
+    assert.deepEqual(retryDelays, [10, 20]);
+});
+
+test('reports an expired session without retrying', async () => {
+    await assert.rejects(connect('expired'), SessionExpiredError);
+});
+
+// Runs deploy.js --dev (which leaves package.json, deploy history and the changelog alone) against the stub.
+const deployAgainstStub = (scenario, args = []) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deploy-stub-'));
+
+    try {
+        fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ version: '1.0.0' }));
+        fs.writeFileSync(path.join(dir, 'bundle.ts'), 'export function OnGameModeStarted() {}\n');
+        fs.writeFileSync(path.join(dir, 'bundle.strings.json'), '{}');
+
+        return spawnSync(
+            process.execPath,
+            [
+                path.join(SCRIPTS_DIR, 'deploy.js'),
+                ...['--script', 'bundle.ts', '--strings', 'bundle.strings.json', '--dev', '--skip-validation'],
+                ...args,
+            ],
+            {
+                cwd: dir,
+                encoding: 'utf8',
+                timeout: 30_000,
+                env: {
+                    ...process.env,
+                    PORTAL_CLIENTS_MODULE: path.join(SCRIPTS_DIR, 'stub-portal-clients.js'),
+                    PORTAL_STUB_SCENARIO: scenario,
+                    SESSION_ID: 'stub',
+                    MOD_ID: 'stub',
+                },
+            }
+        );
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+};
+
+test('deploys against the stub', () => {
+    const { status, stdout } = deployAgainstStub('ok');
+
+    assert.equal(status, 0, stdout);
+    assert.match(stdout, /Update complete to version 1\.0\.1/);
+});
+
+test('deploy stops when the update times out', () => {
+    const { status, stdout, stderr } = deployAgainstStub('update-timeout', ['--timeout', '100']);
+
+    assert.equal(status, 1, stdout);
+    assert.match(stderr, /not retried because it may still have been applied/);
+});
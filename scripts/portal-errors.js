@@ -0,0 +1,250 @@
+// Turns the `errors` Portal attaches to uploaded attachments into readable reports, with locations in the bundle
+// mapped back to the original files under src/. Used by deploy.js and rollback.js.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+// How far ahead (in source lines) a match may be from the previous one and still count as the same region.
+const MAX_REGION_GAP = 8;
+
+const LOCATION_IN_MESSAGE_PATTERNS = [
+    /\((\d+),\s*(\d+)\)/,
+    /line\s+(\d+)(?:,?\s*col(?:umn)?\s+(\d+))?/i,
+    /:(\d+):(\d+)/,
+];
+
+const toPositiveInteger = (value) => {
+    const number = Number(value);
+
+    return Number.isInteger(number) && number > 0 ? number : undefined;
+};
+
+/**
+ * Normalize one attachment error into `{ message, line, column }`. Portal's error shape is not documented, so this
+ * accepts the common field names and falls back to a location embedded in the message text.
+ */
+export const normalizeAttachmentError = (error) => {
+    if (typeof error === 'string') return normalizeAttachmentError({ message: error });
+
+    const message = error?.message ?? error?.text ?? error?.description ?? error?.error ?? JSON.stringify(error);
+    const location = error?.location ?? error?.position ?? error?.range?.start ?? {};
+
+    let line = toPositiveInteger(error?.line ?? error?.lineNumber ?? error?.startLine ?? location.line);
+    let column = toPositiveInteger(error?.column ?? error?.columnNumber ?? error?.startColumn ?? location.column);
+
+    if (line === undefined) {
+        for (const pattern of LOCATION_IN_MESSAGE_PATTERNS) {
+            const match = String(message).match(pattern);
+
+            if (!match) continue;
+
+            line = toPositiveInteger(match[1]);
+            column = toPositiveInteger(match[2]);
+            break;
+        }
+    }
+
+    return { message: String(message), line, column };
+};
+
+// Bundlers drop `export` and re-indent code, so lines are compared without those.
+const normalizeLine = (line) => line.trim().replace(/^export\s+(default\s+)?/, '');
+
+// Braces, blank lines and other very short lines appear everywhere and say nothing about where they came from.
+const isSignificantLine = (normalized) => normalized.length >= 4 && !/^[\s{}()[\];,]*$/.test(normalized);
+
+const getIndentation = (line) => line.length - line.trimStart().length;
+
+const findSourceFiles = (dir) => {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+        const entryPath = path.join(dir, entry.name);
+
+        if (entry.isDirectory()) return findSourceFiles(entryPath);
+
+        return entry.name.endsWith('.ts') ? [entryPath] : [];
+    });
+};
+
+/**
+ * Build a region table for a bundle: a list of `{ bundleStart, bundleEnd, file, sourceStart, approximate }` entries,
+ * each a run of bundle lines that maps line-for-line onto `file` starting at `sourceStart`. Regions are found by
+ * matching bundle lines against the source files, so this works without a source map from the bundler.
+ * @param {string} bundleText - Contents of the bundle.
+ * @param {{ file: string, text: string }[]} sources - Source files to match against.
+ */
+export const buildBundleRegionTable = (bundleText, sources) => {
+    const index = new Map();
+    const sourceLines = new Map();
+
+    for (const { file, text } of sources) {
+        const lines = text.split(/\r?\n/);
+
+        sourceLines.set(file, lines);
+
+        for (let i = 0; i < lines.length; ++i) {
+            const normalized = normalizeLine(lines[i]);
+
+            if (!isSignificantLine(normalized)) continue;
+
+            if (!index.has(normalized)) index.set(normalized, []);
+
+            index.get(normalized).push({ file, line: i + 1 });
+        }
+    }
+
+    const regions = [];
+    let previous;
+
+    const bundleLines = bundleText.split(/\r?\n/);
+
+    for (let i = 0; i < bundleLines.length; ++i) {
+        const bundleLine = i + 1;
+        const normalized = normalizeLine(bundleLines[i]);
+        const candidates = isSignificantLine(normalized) ? (index.get(normalized) ?? []) : [];
+
+        let match = previous
+            ? candidates.find(
+                  (c) => c.file === previous.file && c.line > previous.line && c.line - previous.line <= MAX_REGION_GAP
+              )
+            : undefined;
+
+        let approximate = false;
+
+        if (!match && candidates.length === 1) {
+            match = candidates[0];
+        } else if (!match && previous) {
+            // Unmatched or ambiguous line: assume it continues the current region (e.g. a closing brace).
+            match = { file: previous.file, line: previous.line + 1 };
+            approximate = candidates.length === 0 && isSignificantLine(normalized);
+        } else if (!match && candidates.length > 1) {
+            match = candidates[0];
+            approximate = true;
+        }
+
+        if (!match) continue;
+
+        const current = regions[regions.length - 1];
+        const continuesRegion =
+            current &&
+            current.file === match.file &&
+            current.bundleEnd === bundleLine - 1 &&
+            current.sourceStart + (bundleLine - current.bundleStart) === match.line &&
+            current.approximate === approximate;
+
+        if (continuesRegion) {
+            current.bundleEnd = bundleLine;
+        } else {
+            regions.push({
+                bundleStart: bundleLine,
+                bundleEnd: bundleLine,
+                file: match.file,
+                sourceStart: match.line,
+                approximate,
+            });
+        }
+
+        previous = match;
+    }
+
+    return { regions, bundleLines, sourceLines };
+};
+
+/**
+ * Create a function that maps a 1-based `(line, column)` in the bundle to `{ file, line, column, approximate }` in
+ * the original sources, or undefined if the line cannot be attributed to any source file.
+ */
+export const createBundleLocationMapper = (bundlePath, sourceDir = 'src') => {
+    let table;
+
+    // The table is only built on first use, since most deploys have no errors to map.
+    const getTable = () => {
+        if (table) return table;
+
+        const sources = findSourceFiles(sourceDir).map((file) => ({
+            file: path.relative(process.cwd(), file),
+            text: fs.readFileSync(file, 'utf8'),
+        }));
+
+        const bundleText = fs.existsSync(bundlePath) ? fs.readFileSync(bundlePath, 'utf8') : '';
+
+        return (table = buildBundleRegionTable(bundleText, sources));
+    };
+
+    return (line, column) => {
+        const { regions, bundleLines, sourceLines } = getTable();
+        const region = regions.find((r) => line >= r.bundleStart && line <= r.bundleEnd);
+
+        if (!region) return undefined;
+
+        const sourceLine = region.sourceStart + (line - region.bundleStart);
+        const sourceText = sourceLines.get(region.file)?.[sourceLine - 1] ?? '';
+        const bundleText = bundleLines[line - 1] ?? '';
+
+        return {
+            file: region.file,
+            line: sourceLine,
+            column:
+                column === undefined
+                    ? undefined
+                    : Math.max(1, column - getIndentation(bundleText) + getIndentation(sourceText)),
+            approximate: region.approximate,
+        };
+    };
+};
+
+/**
+ * Collect the errors on all returned attachments as report entries. Locations in the TypeScript attachment are mapped
+ * through `mapLocation` (see `createBundleLocationMapper`) when it is given.
+ */
+export const collectAttachmentErrors = (attachments, { scriptPath, stringsPath, mapLocation }) => {
+    const entries = [];
+
+    for (const attachment of attachments ?? []) {
+        const isScript = attachment.attachmentType === 2;
+        const localPath = isScript ? scriptPath : attachment.attachmentType === 4 ? stringsPath : undefined;
+
+        for (const error of attachment.errors ?? []) {
+            const { message, line, column } = normalizeAttachmentError(error);
+            const bundle = { file: localPath ?? attachment.filename, line, column };
+            const source = isScript && line !== undefined ? mapLocation?.(line, column) : undefined;
+
+            entries.push({ attachment: attachment.filename, message, bundle, source: source ?? null });
+        }
+    }
+
+    return entries;
+};
+
+const formatLocation = ({ file, line, column }) => {
+    if (line === undefined) return file;
+
+    return column === undefined ? `${file}:${line}` : `${file}:${line}:${column}`;
+};
+
+/** Print each error as `file:line:column: message`, preferring the mapped source location. */
+export const printErrorReport = (entries) => {
+    console.error('');
+    console.error(`  Portal reported ${entries.length} error${entries.length === 1 ? '' : 's'}:`);
+    console.error('');
+
+    for (const { message, bundle, source } of entries) {
+        console.error(`  ${formatLocation(source ?? bundle)}: ${message}`);
+
+        if (source) {
+            console.error(`      (bundle: ${formatLocation(bundle)}${source.approximate ? ', approximate' : ''})`);
+        }
+    }
+
+    console.error('');
+};
+
+/** Write the report as JSON (an empty `errors` array clears stale errors in editors that watch the file). */
+export const writeErrorReport = (reportPath, entries) => {
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(
+        reportPath,
+        JSON.stringify({ generatedAt: new Date().toISOString(), errors: entries }, null, 4) + '\n'
+    );
+};
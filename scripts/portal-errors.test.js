@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { buildBundleRegionTable, normalizeAttachmentError } from './portal-errors.js';
+
+const A_SOURCE = [
+    "import { computeSpeed } from './b.ts';",
+    '',
+    'export function spawnVehicle() {',
+    '    const speed = computeSpeed();',
+    "    log('spawning');",
+    '    return speed;',
+    '}',
+].join('\n');
+
+// `return speed;` is also line 6 of a.ts.
+const B_SOURCE = [
+    'export function computeSpeed() {',
+    '    const base = 10;',
+    '    return base * 2;',
+    '}',
+    '',
+    'export function logSpeed(speed: number) {',
+    '    return speed;',
+    '}',
+].join('\n');
+
+// What a bundler makes of them: b.ts first, imports and `export` dropped, and the blank lines between them gone.
+const BUNDLE = [
+    '// bundle.ts',
+    'function computeSpeed() {',
+    '    const base = 10;',
+    '    return base * 2;',
+    '}',
+    'function logSpeed(speed: number) {',
+    '    return speed;',
+    '}',
+    'function spawnVehicle() {',
+    '    const speed = computeSpeed();',
+    "    log('spawning');",
+    '    return speed;',
+    '}',
+].join('\n');
+
+const SOURCES = [
+    { file: 'src/a.ts', text: A_SOURCE },
+    { file: 'src/b.ts', text: B_SOURCE },
+];
+
+// The source file and line of a bundle line, as the location mapper computes it.
+const sourceLocationOf = ({ regions }, bundleLine) => {
+    const region = regions.find((r) => bundleLine >= r.bundleStart && bundleLine <= r.bundleEnd);
+
+    return region && { file: region.file, line: region.sourceStart + (bundleLine - region.bundleStart) };
+};
+
+test('maps a bundle onto the source files it was built from', () => {
+    const { regions } = buildBundleRegionTable(BUNDLE, SOURCES);
+
+    assert.deepEqual(regions, [
+        { bundleStart: 2, bundleEnd: 5, file: 'src/b.ts', sourceStart: 1, approximate: false },
+        { bundleStart: 6, bundleEnd: 8, file: 'src/b.ts', sourceStart: 6, approximate: false },
+        { bundleStart: 9, bundleEnd: 13, file: 'src/a.ts', sourceStart: 3, approximate: false },
+    ]);
+});
+
+test('matches declarations whose `export` the bundler stripped', () => {
+    const table = buildBundleRegionTable(BUNDLE, SOURCES);
+
+    assert.deepEqual(sourceLocationOf(table, 2), { file: 'src/b.ts', line: 1 });
+    assert.deepEqual(sourceLocationOf(table, 9), { file: 'src/a.ts', line: 3 });
+});
+
+test('maps a line found in both files to the one the surrounding region comes from', () => {
+    const table = buildBundleRegionTable(BUNDLE, SOURCES);
+
+    assert.deepEqual(sourceLocationOf(table, 7), { file: 'src/b.ts', line: 7 });
+    assert.deepEqual(sourceLocationOf(table, 12), { file: 'src/a.ts', line: 6 });
+});
+
+test('leaves bundle lines that match no source file unmapped', () => {
+    assert.equal(sourceLocationOf(buildBundleRegionTable(BUNDLE, SOURCES), 1), undefined);
+});
+
+test('reads the location from error fields', () => {
+    assert.deepEqual(normalizeAttachmentError({ message: 'Unexpected token.', line: 12, column: 5 }), {
+        message: 'Unexpected token.',
+        line: 12,
+        column: 5,
+    });
+
+    assert.deepEqual(normalizeAttachmentError({ text: 'Bad key.', range: { start: { line: 3, column: 1 } } }), {
+        message: 'Bad key.',
+        line: 3,
+        column: 1,
+    });
+});
+
+test('parses the location from the message text when there are no fields for it', () => {
+    assert.deepEqual(normalizeAttachmentError('bundle.ts(12,5): Unexpected token.'), {
+        message: 'bundle.ts(12,5): Unexpected token.',
+        line: 12,
+        column: 5,
+    });
+
+    assert.deepEqual(normalizeAttachmentError({ message: 'Unexpected token at line 12, column 5' }), {
+        message: 'Unexpected token at line 12, column 5',
+        line: 12,
+        column: 5,
+    });
+
+    assert.deepEqual(normalizeAttachmentError({ message: 'bundle.ts:12:5 Unexpected token.' }), {
+        message: 'bundle.ts:12:5 Unexpected token.',
+        line: 12,
+        column: 5,
+    });
+
+    assert.deepEqual(normalizeAttachmentError({ message: 'Unknown function.' }), {
+        message: 'Unknown function.',
+        line: undefined,
+        column: undefined,
+    });
+});
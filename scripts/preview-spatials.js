@@ -0,0 +1,82 @@
+/**
+ * Renders a top-down SVG plan of every JSON file in spatials/ (project root), or of the files given as arguments, into
+ * dist/previews/<name>.svg (see spatial-preview-core.js).
+ *
+ * Usage: node scripts/preview-spatials.js [--out DIR] [--width PIXELS] [--label-spawns] [file ...]
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { renderSpatialPreviewSvg } from './spatial-preview-core.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const projectRoot = path.join(__dirname, '..');
+
+const parseArgs = () => {
+    const argv = process.argv.slice(2);
+    const files = [];
+    let outDir = path.join(projectRoot, 'dist', 'previews');
+    let width = 1024;
+    let labelSpawns = false;
+
+    for (let i = 0; i < argv.length; ++i) {
+        if (argv[i] === '--out' && argv[i + 1]) {
+            outDir = path.resolve(argv[++i]);
+        } else if (argv[i] === '--width' && argv[i + 1]) {
+            const value = parseInt(argv[++i], 10);
+
+            if (value >= 200) width = value;
+        } else if (argv[i] === '--label-spawns') {
+            labelSpawns = true;
+        } else if (!argv[i].startsWith('-')) {
+            files.push(argv[i]);
+        }
+    }
+
+    return { files, outDir, width, labelSpawns };
+};
+
+const { files: fileArgs, outDir, width, labelSpawns } = parseArgs();
+
+const spatialsDir = path.join(projectRoot, 'spatials');
+
+const files =
+    fileArgs.length > 0
+        ? fileArgs
+        : fs.existsSync(spatialsDir)
+          ? fs
+                .readdirSync(spatialsDir)
+                .filter((f) => f.endsWith('.json'))
+                .map((f) => path.join(spatialsDir, f))
+          : [];
+
+if (files.length === 0) {
+    console.log('No JSON files found in spatials/');
+    process.exit(0);
+}
+
+fs.mkdirSync(outDir, { recursive: true });
+
+let failed = 0;
+
+for (const file of files) {
+    const baseName = path.basename(file, '.json');
+    const outPath = path.join(outDir, `${baseName}.svg`);
+
+    try {
+        const svg = renderSpatialPreviewSvg(fs.readFileSync(file, 'utf8'), { width, labelSpawns, title: baseName });
+
+        fs.writeFileSync(outPath, svg, 'utf8');
+        console.log(`  ✓ ${path.relative(process.cwd(), outPath)}`);
+    } catch (error) {
+        console.log(`  ✗ ${file}: ${error.message}`);
+        ++failed;
+    }
+}
+
+console.log(
+    `Rendered ${files.length - failed} of ${files.length} previews into ${path.relative(process.cwd(), outDir)}/`
+);
+
+process.exit(failed === 0 ? 0 : 1);
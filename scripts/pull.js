@@ -0,0 +1,176 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import dotenv from 'dotenv';
+
+import {
+    PortalRequestError,
+    connectToPortal,
+    loadClients,
+    parseRequestOptions,
+    printPortalError,
+} from './portal-client.js';
+import {
+    EXPERIENCE_MANIFEST,
+    buildExperienceManifest,
+    findManifestDrift,
+    getAttachmentBytes,
+    loadDeployTargetEnv,
+    loadExperienceManifest,
+    resolveDeployTarget,
+} from './deploy-core.js';
+
+dotenv.config();
+
+const parseArgs = () => {
+    const argv = process.argv.slice(2);
+    let outDir = 'pulled';
+    let manifestPath = EXPERIENCE_MANIFEST;
+    let scriptPath = 'dist/bundle.ts';
+    let targetName;
+    let check = false;
+
+    for (let i = 0; i < argv.length; ++i) {
+        if (argv[i] === '--out' && argv[i + 1]) {
+            outDir = argv[++i];
+        } else if (argv[i] === '--manifest' && argv[i + 1]) {
+            manifestPath = argv[++i];
+        } else if (argv[i] === '--script' && argv[i + 1]) {
+            scriptPath = argv[++i];
+        } else if (argv[i] === '--target' && argv[i + 1]) {
+            targetName = argv[++i];
+        } else if (argv[i] === '--check') {
+            check = true;
+        }
+    }
+
+    return { outDir, manifestPath, scriptPath, targetName, check };
+};
+
+const { outDir, manifestPath, scriptPath, targetName, check } = parseArgs();
+const packageJson = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'package.json'), 'utf8'));
+
+let target;
+let localManifest;
+
+try {
+    target = resolveDeployTarget(packageJson.deployTargets, targetName, packageJson.deployTargetDefaults);
+    localManifest = loadExperienceManifest(manifestPath);
+} catch (err) {
+    console.error(`  Error: ${err.message}`);
+    process.exit(1);
+}
+
+loadDeployTargetEnv(target);
+
+const sessionId = process.env.SESSION_ID;
+const modId = target.modId ?? process.env.MOD_ID;
+
+console.log('');
+console.log(check ? '  Pull (check only)' : '  Pull');
+console.log('  ─────────────────────────────────────────');
+
+if (target.name) console.log('  Target:     ', target.name);
+
+console.log('  Experience: ', modId);
+
+if (!check) console.log('  Output:     ', `${outDir}/, ${manifestPath}`);
+
+console.log('  ─────────────────────────────────────────');
+console.log('');
+
+let playElement;
+let playElementDesign;
+
+try {
+    process.stdout.write('  Authenticating…');
+    const portal = await connectToPortal({
+        Clients: await loadClients(),
+        sessionId,
+        requestOptions: parseRequestOptions(process.argv.slice(2)),
+    });
+    process.stdout.write('\r\x1b[K  Authenticated.');
+
+    process.stdout.write('  Fetching experience…');
+    ({ playElement, playElementDesign } = await portal.getPlayElement({
+        id: modId,
+        includeDenied: true,
+    }));
+} catch (err) {
+    process.stdout.write('\r\x1b[K  ✗ Could not fetch the experience.\n');
+    printPortalError(err);
+    process.exit(1);
+}
+
+process.stdout.write(`\r\x1b[K  Fetched: ${playElement?.name ?? modId}\n\n`);
+
+const attachments = playElementDesign?.attachments ?? [];
+const scriptAttachment = attachments.find((attachment) => attachment.attachmentType === 2);
+const stringsAttachment = attachments.find((attachment) => attachment.attachmentType === 4);
+const liveScript = getAttachmentBytes(scriptAttachment)?.toString('utf8');
+const liveManifest = buildExperienceManifest(playElement, playElementDesign);
+
+// Parsed before anything is compared or written, so a broken attachment leaves the repo untouched.
+let liveStrings;
+
+try {
+    if (stringsAttachment) liveStrings = JSON.parse(getAttachmentBytes(stringsAttachment)?.toString('utf8') || '{}');
+} catch (err) {
+    printPortalError(
+        new PortalRequestError(
+            `The live strings attachment (${stringsAttachment.filename ?? 'bundle.strings.json'}) is not valid JSON: ` +
+                err.message,
+            { cause: err }
+        )
+    );
+    process.exit(1);
+}
+
+// Drift: the live experience no longer matches what this repo would deploy.
+let drifted = false;
+
+if (liveScript === undefined) {
+    console.log('  ! The live experience has no script attachment.');
+} else if (!fs.existsSync(scriptPath)) {
+    console.log(`  ! ${scriptPath} does not exist; run \`npm run build\` to compare it with the live script.`);
+} else if (fs.readFileSync(scriptPath, 'utf8') !== liveScript) {
+    drifted = true;
+    console.log(`  ! The live script differs from ${scriptPath}.`);
+} else {
+    console.log(`  ✓ The live script matches ${scriptPath}.`);
+}
+
+const driftedFields = localManifest ? findManifestDrift(localManifest, liveManifest) : [];
+
+if (driftedFields.length > 0) {
+    drifted = true;
+    console.log(`  ! The live experience differs from ${manifestPath} in: ${driftedFields.join(', ')}.`);
+} else if (localManifest) {
+    console.log(`  ✓ The live experience matches ${manifestPath}.`);
+}
+
+console.log('');
+
+if (check) {
+    console.log(drifted ? '  Drift detected. Nothing was written.' : '  No drift detected.');
+    process.exit(drifted ? 1 : 0);
+}
+
+fs.mkdirSync(outDir, { recursive: true });
+
+if (liveScript !== undefined) {
+    const filePath = path.join(outDir, scriptAttachment.filename ?? 'bundle.ts');
+
+    fs.writeFileSync(filePath, liveScript);
+    console.log(`  ✓ Wrote ${filePath}`);
+}
+
+if (stringsAttachment) {
+    const filePath = path.join(outDir, stringsAttachment.filename ?? 'bundle.strings.json');
+
+    fs.writeFileSync(filePath, JSON.stringify(liveStrings, null, 4) + '\n');
+    console.log(`  ✓ Wrote ${filePath}`);
+}
+
+fs.writeFileSync(manifestPath, JSON.stringify(liveManifest, null, 4) + '\n');
+console.log(`  ✓ Wrote ${manifestPath}`);
+console.log('  Done.');
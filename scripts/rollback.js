@@ -0,0 +1,211 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import dotenv from 'dotenv';
+
+import {
+    PortalRequestError,
+    connectToPortal,
+    loadClients,
+    parseRequestOptions,
+    printPortalError,
+} from './portal-client.js';
+import {
+    buildDeployDiff,
+    buildUpdatedPlayElement,
+    listDeployArchives,
+    loadDeployArchive,
+    loadDeployTargetEnv,
+    printDeployDiff,
+    resolveDeployTarget,
+    thumbnailToDataUrl,
+    updateAttachments,
+} from './deploy-core.js';
+import { collectAttachmentErrors, printErrorReport } from './portal-errors.js';
+
+dotenv.config();
+
+const parseArgs = () => {
+    const argv = process.argv.slice(2);
+    let version;
+    let targetName;
+    let dryRun = false;
+    let list = false;
+
+    for (let i = 0; i < argv.length; ++i) {
+        if (argv[i] === '--to' && argv[i + 1]) {
+            version = argv[++i];
+        } else if (argv[i] === '--target' && argv[i + 1]) {
+            targetName = argv[++i];
+        } else if (argv[i] === '--dry-run') {
+            dryRun = true;
+        } else if (argv[i] === '--list') {
+            list = true;
+        }
+    }
+
+    return { version, targetName, dryRun, list };
+};
+
+const printArchives = () => {
+    const archives = listDeployArchives();
+
+    if (archives.length === 0) {
+        console.log('  No archived deploys found in deploy-history/.');
+        return;
+    }
+
+    console.log('');
+    console.log('  Archived deploys');
+    console.log('  ─────────────────────────────────────────');
+
+    // Redeploys of a version are listed by their folder name, which `--to` also accepts.
+    const width = Math.max(12, ...archives.map(({ archive }) => archive.length));
+
+    for (const { archive, target, deployedAt, name } of archives) {
+        console.log(`  ${archive.padEnd(width)} ${deployedAt}  ${target ?? '(default)'}  ${name}`);
+    }
+
+    console.log('');
+};
+
+const { version, targetName, dryRun, list } = parseArgs();
+
+if (list) {
+    printArchives();
+    process.exit(0);
+}
+
+if (!version) {
+    console.error('  Usage: npm run rollback -- --to <version> [--target <name>] [--dry-run]');
+    console.error('         npm run rollback -- --list');
+    process.exit(1);
+}
+
+const packageJson = JSON.parse(fs.readFileSync(path.join(process.cwd(), 'package.json'), 'utf8'));
+
+let archive;
+let target;
+
+try {
+    archive = loadDeployArchive(version);
+    target = resolveDeployTarget(
+        packageJson.deployTargets,
+        targetName ?? archive.manifest.target,
+        packageJson.deployTargetDefaults
+    );
+} catch (err) {
+    console.error(`  Error: ${err.message}`);
+    process.exit(1);
+}
+
+loadDeployTargetEnv(target);
+
+const sessionId = process.env.SESSION_ID;
+const modId = target.modId ?? process.env.MOD_ID;
+
+if (archive.manifest.modId && archive.manifest.modId !== modId) {
+    console.error(`  Error: Version ${version} was deployed to experience ${archive.manifest.modId}, not ${modId}.`);
+    process.exit(1);
+}
+
+console.log('');
+console.log('  Rollback');
+console.log('  ─────────────────────────────────────────');
+
+if (target.name) console.log('  Target:     ', target.name);
+
+console.log('  Archive:    ', archive.dir);
+console.log('  Deployed:   ', archive.manifest.deployedAt);
+console.log('  Experience: ', archive.manifest.name);
+
+if (dryRun) console.log('  Mode:       ', 'dry run');
+
+console.log('  ─────────────────────────────────────────');
+console.log('');
+
+const requestOptions = {
+    ...parseRequestOptions(process.argv.slice(2)),
+    onRetry: (err, attempt, delayMs) => {
+        process.stdout.write(
+            `\r\x1b[K  ${err?.message ?? String(err)} Retrying in ${(delayMs / 1000).toFixed(0)}s (retry ${attempt})…\n`
+        );
+    },
+};
+
+let portal;
+let playElement;
+let playElementDesign;
+
+try {
+    process.stdout.write('  Authenticating…');
+    portal = await connectToPortal({ Clients: await loadClients(), sessionId, requestOptions });
+    process.stdout.write('\r\x1b[K  Authenticated.');
+
+    process.stdout.write('  Fetching experience…');
+    ({ playElement, playElementDesign } = await portal.getPlayElement({
+        id: modId,
+        includeDenied: true,
+    }));
+} catch (err) {
+    process.stdout.write('\r\x1b[K  ✗ Could not fetch the experience.\n');
+    printPortalError(err);
+    process.exit(1);
+}
+
+process.stdout.write(`\r\x1b[K  Fetched: ${playElement?.name ?? modId}\n`);
+
+// Restore the experience as it was around the archived deploy, with the archived script and strings re-attached.
+// `--to` may be a redeploy's folder name (e.g. `1.2.0_<time>`), so the attachments take the version from the manifest.
+const restoredAttachments = updateAttachments(
+    archive.playElementDesign?.attachments ?? playElementDesign?.attachments,
+    archive.scriptPath,
+    archive.stringsPath,
+    archive.manifest.version
+);
+
+const updatedPlayElement = buildUpdatedPlayElement(modId, archive.playElement, archive.playElementDesign, {
+    name: archive.manifest.name,
+    description: archive.manifest.description,
+    publishState: archive.manifest.publishState,
+    attachments: restoredAttachments,
+    mutators: archive.manifest.mutators,
+    mapRotation: archive.manifest.mapRotation,
+    playElementSettings: archive.manifest.playElementSettings,
+    thumbnailUrl: archive.thumbnailPath ? thumbnailToDataUrl(archive.thumbnailPath) : archive.manifest.thumbnailUrl,
+});
+
+if (dryRun) {
+    printDeployDiff(buildDeployDiff(playElement, playElementDesign, updatedPlayElement));
+    console.log('  Dry run complete. The experience was not modified.');
+    process.exit(0);
+}
+
+process.stdout.write(`  Rolling back experience to version ${version} (this may take up to 10 seconds)…`);
+
+const updateStart = Date.now();
+
+try {
+    const result = await portal.updatePlayElement(updatedPlayElement);
+
+    // The archived bundle may not match the current src/, so errors are reported against the archive only.
+    const errors = collectAttachmentErrors(result.playElementDesign?.attachments, {
+        scriptPath: archive.scriptPath,
+        stringsPath: archive.stringsPath,
+    });
+
+    if (errors.length > 0) {
+        process.stdout.write('\n');
+        printErrorReport(errors);
+        throw new PortalRequestError(`Portal reported ${errors.length} errors.`);
+    }
+
+    const elapsed = ((Date.now() - updateStart) / 1000).toFixed(1);
+    process.stdout.write(`\r\x1b[K  ✓ Rolled back to version ${version} in ${elapsed} seconds.\n`);
+    console.log('  package.json was not modified; the next deploy bumps from its current version.');
+    console.log('  Done.');
+} catch (err) {
+    const elapsed = ((Date.now() - updateStart) / 1000).toFixed(1);
+    process.stdout.write(`\r\x1b[K  ✗ Rollback failed after ${elapsed} seconds.\n`);
+    printPortalError(err);
+    process.exit(1);
+}
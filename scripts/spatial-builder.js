@@ -0,0 +1,472 @@
+// Programmatic editing of BF6 spatial JSON: load a file from spatials/, add spawn points, HQs, capture points and
+// polygon volumes (singly or in rings, grids and team-mirrored layouts), and write a file the minifier accepts.
+//
+// Orientation is given as a yaw in degrees around the up axis: 0 faces +z and 90 faces +x, as in the Godot editor's
+// exports. Objects are always upright (`up` is +y).
+//
+//   import { SpatialBuilder, mirror, ring } from './spatial-builder.js';
+//
+//   const builder = SpatialBuilder.load('spatials/eastwood.json');
+//   const base = { x: 0, y: 40, z: -300 };
+//   const spawns = ring({ center: base, radius: 12, count: 8, facing: 'outward' });
+//
+//   builder.addHQ({ id: 'TEAM_1_FOB', team: 'Team1', position: base, spawns });
+//   builder.addHQ({ id: 'TEAM_2_FOB', team: 'Team2', position: { x: 0, y: 40, z: 300 }, spawns: mirror(spawns) });
+//   builder.save('spatials/eastwood.json');
+
+import fs from 'node:fs';
+
+import { lintSpatialJson } from './spatial-lint-core.js';
+import { loadMinifierConfig } from './spatial-minifier-config.js';
+import { collectSpatialObjects, parseSpatialJson } from './spatial-minifier-core.js';
+
+// Godot exports positions and vectors with about six significant digits; more only makes files bigger.
+const DECIMALS = 6;
+
+// Side length, in meters, of the square HQ area created when `addHQ` is not given one (the size the templates use).
+const DEFAULT_HQ_AREA_SIZE = 10;
+
+// Polygon volumes sit this far above the object they belong to, as in the stock spatial files.
+const AREA_HEIGHT_OFFSET = 5;
+
+const TEAMS = ['Team1', 'Team2'];
+
+function round(value) {
+    const rounded = Number(value.toFixed(DECIMALS));
+
+    // Avoid writing -0.
+    return rounded === 0 ? 0 : rounded;
+}
+
+function toVector({ x = 0, y = 0, z = 0 }) {
+    return { x: round(x), y: round(y), z: round(z) };
+}
+
+function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+}
+
+function toDegrees(radians) {
+    return (radians * 180) / Math.PI;
+}
+
+// Keep yaws in (-180, 180] so mirrored layouts do not drift to 540°.
+function normalizeYaw(yaw) {
+    const normalized = ((((yaw + 180) % 360) + 360) % 360) - 180;
+
+    return normalized === -180 ? 180 : normalized;
+}
+
+/**
+ * The `right`/`up`/`front` vectors of an upright object turned `yaw` degrees (0 faces +z, 90 faces +x).
+ * @param {number} [yaw=0] - Rotation around the up axis, in degrees.
+ * @returns {{ right: object, up: object, front: object }}
+ */
+export function orientation(yaw = 0) {
+    const angle = toRadians(yaw);
+
+    return {
+        right: toVector({ x: Math.cos(angle), z: -Math.sin(angle) }),
+        up: { x: 0, y: 1, z: 0 },
+        front: toVector({ x: Math.sin(angle), z: Math.cos(angle) }),
+    };
+}
+
+/** The yaw (in degrees) that makes an object at `from` face `to`. */
+export function yawTowards(from, to) {
+    return normalizeYaw(toDegrees(Math.atan2(to.x - from.x, to.z - from.z)));
+}
+
+/**
+ * `count` placements (`{ position, yaw }`) evenly spaced on a circle.
+ * @param {object} options
+ * @param {{ x: number, y: number, z: number }} options.center - Center of the circle; every placement gets its `y`.
+ * @param {number} options.radius - Radius in meters.
+ * @param {number} options.count - Number of placements.
+ * @param {number} [options.startAngle=0] - Where the first placement goes, in degrees (0 is +z of the center, 90 +x).
+ * @param {'inward' | 'outward' | number} [options.facing='outward'] - Face away from the center, towards it, or a
+ * fixed yaw for every placement.
+ */
+export function ring({ center, radius, count, startAngle = 0, facing = 'outward' }) {
+    const placements = [];
+
+    for (let i = 0; i < count; ++i) {
+        const angle = startAngle + (360 * i) / count;
+        const position = toVector({
+            x: center.x + radius * Math.sin(toRadians(angle)),
+            y: center.y,
+            z: center.z + radius * Math.cos(toRadians(angle)),
+        });
+
+        const yaw =
+            facing === 'outward' ? normalizeYaw(angle) : facing === 'inward' ? normalizeYaw(angle + 180) : facing;
+
+        placements.push({ position, yaw });
+    }
+
+    return placements;
+}
+
+/**
+ * `rows × columns` placements (`{ position, yaw }`) on a grid centered on `center`, row by row. The grid is turned
+ * with `yaw`, which is also the yaw of every placement, so rows run along the placements' right axis.
+ * @param {object} options
+ * @param {{ x: number, y: number, z: number }} options.center - Center of the grid; every placement gets its `y`.
+ * @param {number} options.rows - Number of rows (along the front axis).
+ * @param {number} options.columns - Number of columns (along the right axis).
+ * @param {number} options.spacing - Distance between neighbouring placements, in meters.
+ * @param {number} [options.yaw=0] - Rotation of the grid and its placements, in degrees.
+ */
+export function grid({ center, rows, columns, spacing, yaw = 0 }) {
+    const { right, front } = orientation(yaw);
+    const placements = [];
+
+    for (let row = 0; row < rows; ++row) {
+        for (let column = 0; column < columns; ++column) {
+            const alongRight = (column - (columns - 1) / 2) * spacing;
+            const alongFront = ((rows - 1) / 2 - row) * spacing;
+
+            placements.push({
+                position: toVector({
+                    x: center.x + alongRight * right.x + alongFront * front.x,
+                    y: center.y,
+                    z: center.z + alongRight * right.z + alongFront * front.z,
+                }),
+                yaw,
+            });
+        }
+    }
+
+    return placements;
+}
+
+/**
+ * The other team's copy of a layout. `'point'` (the default) turns it 180° around `center`, so both teams see the same
+ * layout; `'x'` mirrors it across the plane through `center` where x is constant, and `'z'` where z is constant.
+ * Objects stay upright and keep a proper `right`/`up`/`front` basis.
+ * @param {{ position: object, yaw?: number }[]} placements - Placements from `ring`, `grid` or written by hand.
+ * @param {object} [options]
+ * @param {{ x: number, z: number }} [options.center={ x: 0, z: 0 }] - Center of the map.
+ * @param {'point' | 'x' | 'z'} [options.mode='point'] - How to mirror.
+ */
+export function mirror(placements, { center = { x: 0, z: 0 }, mode = 'point' } = {}) {
+    if (!['point', 'x', 'z'].includes(mode)) throw new Error(`Unknown mirror mode "${mode}". Use point, x or z.`);
+
+    return placements.map(({ position, yaw = 0 }) => {
+        const mirrorX = mode !== 'z';
+        const mirrorZ = mode !== 'x';
+
+        return {
+            position: toVector({
+                x: mirrorX ? 2 * center.x - position.x : position.x,
+                y: position.y,
+                z: mirrorZ ? 2 * center.z - position.z : position.z,
+            }),
+            yaw: normalizeYaw(mode === 'point' ? yaw + 180 : mode === 'x' ? -yaw : 180 - yaw),
+        };
+    });
+}
+
+/**
+ * The corners of a regular polygon around `center` (at its height), for capture and HQ areas.
+ * @param {object} options
+ * @param {{ x: number, y: number, z: number }} options.center - Center of the polygon.
+ * @param {number} options.radius - Distance from the center to each corner, in meters.
+ * @param {number} [options.sides=8] - Number of corners (at least 3).
+ * @param {number} [options.rotation=0] - Angle of the first corner, in degrees (0 is +z of the center).
+ */
+export function regularPolygon({ center, radius, sides = 8, rotation = 0 }) {
+    if (!(sides >= 3)) throw new Error('A polygon needs at least 3 sides.');
+
+    return Array.from({ length: sides }, (_, i) => {
+        const angle = toRadians(rotation + (360 * i) / sides);
+
+        return toVector({
+            x: center.x + radius * Math.sin(angle),
+            y: center.y,
+            z: center.z + radius * Math.cos(angle),
+        });
+    });
+}
+
+/**
+ * The four corners of a `width × depth` rectangle around `center` (at its height), turned `yaw` degrees.
+ * @param {object} options
+ * @param {{ x: number, y: number, z: number }} options.center - Center of the rectangle.
+ * @param {number} options.width - Size along the right axis, in meters.
+ * @param {number} options.depth - Size along the front axis, in meters.
+ * @param {number} [options.yaw=0] - Rotation in degrees.
+ */
+export function rectangle({ center, width, depth, yaw = 0 }) {
+    const { right, front } = orientation(yaw);
+
+    return [
+        [1, 1],
+        [1, -1],
+        [-1, -1],
+        [-1, 1],
+    ].map(([alongRight, alongFront]) =>
+        toVector({
+            x: center.x + (alongRight * width * right.x + alongFront * depth * front.x) / 2,
+            y: center.y,
+            z: center.z + (alongRight * width * right.z + alongFront * depth * front.z) / 2,
+        })
+    );
+}
+
+function lastSegment(id) {
+    return id.slice(id.lastIndexOf('/') + 1);
+}
+
+/** Builds on a spatial JSON tree. Every `add…` method returns the ID of the object it added. */
+export class SpatialBuilder {
+    /**
+     * @param {object} [root] - Parsed spatial JSON to add to. Defaults to an empty level.
+     */
+    constructor(root = { Portal_Dynamic: [], Static: [] }) {
+        if (!Array.isArray(root.Portal_Dynamic)) root.Portal_Dynamic = [];
+
+        this.root = root;
+        this.ids = new Set(collectSpatialObjects(root).map(({ id }) => id));
+    }
+
+    /** Load a spatial JSON file (e.g. from spatials/). */
+    static load(filePath) {
+        return new SpatialBuilder(parseSpatialJson(fs.readFileSync(filePath, 'utf8')));
+    }
+
+    /** True if an object with this ID exists. */
+    has(id) {
+        return this.ids.has(id);
+    }
+
+    /** The lowest ObjId above every ObjId in use. */
+    nextObjId() {
+        const objIds = collectSpatialObjects(this.root)
+            .map(({ objId }) => objId)
+            .filter((objId) => objId !== undefined);
+
+        return objIds.length > 0 ? Math.max(...objIds) + 1 : 1;
+    }
+
+    /** Add an object node as-is (it needs a unique `id`). */
+    add(node) {
+        if (typeof node.id !== 'string' || node.id === '') throw new Error('Spatial objects need a non-empty id.');
+
+        if (this.ids.has(node.id)) throw new Error(`An object with id "${node.id}" already exists.`);
+
+        this.ids.add(node.id);
+        this.root.Portal_Dynamic.push(node);
+
+        return node.id;
+    }
+
+    // Run `build`, removing whatever it added if it throws, so a failed HQ or capture point leaves no stray children.
+    #atomically(build) {
+        const count = this.root.Portal_Dynamic.length;
+        const ids = new Set(this.ids);
+
+        try {
+            return build();
+        } catch (error) {
+            this.root.Portal_Dynamic.length = count;
+            this.ids = ids;
+            throw error;
+        }
+    }
+
+    // A placed, upright object in the key order the Godot exporter uses.
+    #placed(id, name, type, properties, { position, yaw = 0 }, linked) {
+        const node = { name: name ?? lastSegment(id), ...properties, type, ...orientation(yaw) };
+
+        node.position = toVector(position);
+        node.id = id;
+
+        if (linked) node.linked = linked;
+
+        return node;
+    }
+
+    // Volumes may be given as an existing volume's ID or as the points of a new one.
+    #areaId(area, id) {
+        if (typeof area === 'string') {
+            if (!this.has(area)) throw new Error(`Volume "${area}" does not exist.`);
+
+            return area;
+        }
+
+        return this.addPolygonVolume({ id, points: area });
+    }
+
+    // Spawn points may be given as existing IDs or as placements (`{ position, yaw }`) to create under `parentId`. The
+    // parent is added after its spawn points, so new ones get ObjIds above `parentObjId` to stay clear of it.
+    #spawnIds(spawns, parentId, parentObjId, prefix) {
+        return spawns.map((spawn, i) => {
+            if (typeof spawn !== 'string') {
+                return this.addSpawnPoint({
+                    id: `${parentId}/${prefix}${i + 1}`,
+                    objId: Math.max(this.nextObjId(), parentObjId + 1),
+                    ...spawn,
+                });
+            }
+
+            if (!this.has(spawn)) throw new Error(`Spawn point "${spawn}" does not exist.`);
+
+            return spawn;
+        });
+    }
+
+    /**
+     * Add a `SpawnPoint`.
+     * @param {object} options
+     * @param {string} options.id - Unique ID, e.g. `TEAM_1_HQ/SpawnPoint_1_5`.
+     * @param {string} [options.name] - Defaults to the last segment of the ID.
+     * @param {number} [options.objId] - Defaults to `nextObjId()`. Needed to look the spawn point up with
+     * `mod.GetSpawnPoint`.
+     * @param {{ x: number, y: number, z: number }} options.position
+     * @param {number} [options.yaw=0] - Facing, in degrees.
+     */
+    addSpawnPoint({ id, name, objId = this.nextObjId(), position, yaw }) {
+        return this.add(this.#placed(id, name, 'SpawnPoint', { ObjId: objId }, { position, yaw }));
+    }
+
+    /**
+     * Add a `PolygonVolume`.
+     * @param {object} options
+     * @param {string} options.id - Unique ID.
+     * @param {string} [options.name] - Defaults to the last segment of the ID.
+     * @param {{ x: number, y: number, z: number }[]} options.points - At least three corners, in order.
+     * @param {number} [options.height=0] - Height of the volume in meters (0 lets Portal use its default).
+     */
+    addPolygonVolume({ id, name, points, height = 0 }) {
+        if (!Array.isArray(points) || points.length < 3) throw new Error(`Volume "${id}" needs at least 3 points.`);
+
+        return this.add({
+            name: name ?? lastSegment(id),
+            type: 'PolygonVolume',
+            id,
+            height,
+            points: points.map(toVector),
+        });
+    }
+
+    /**
+     * Add an `HQ_PlayerSpawner` with its spawn points and HQ area. Spawn points given as placements are created as
+     * `<id>/SpawnPoint_1`, `<id>/SpawnPoint_2` and so on.
+     * @param {object} options
+     * @param {string} options.id - Unique ID, e.g. `TEAM_1_HQ`.
+     * @param {string} [options.name] - Defaults to the last segment of the ID.
+     * @param {'Team1' | 'Team2'} [options.team='Team1'] - Owning team.
+     * @param {number} [options.objId] - Defaults to `nextObjId()`.
+     * @param {{ x: number, y: number, z: number }} options.position
+     * @param {number} [options.yaw=0] - Facing, in degrees.
+     * @param {(string | { position: object, yaw?: number })[]} options.spawns - Spawn point IDs or placements.
+     * @param {string | object[]} [options.area] - HQ area: a volume ID or polygon points. Defaults to a 10 m square.
+     */
+    addHQ({ id, name, team = 'Team1', objId = this.nextObjId(), position, yaw, spawns, area }) {
+        if (!TEAMS.includes(team)) throw new Error(`Unknown team "${team}". Use ${TEAMS.join(' or ')}.`);
+
+        if (!Array.isArray(spawns) || spawns.length === 0) throw new Error(`HQ "${id}" needs at least one spawn.`);
+
+        if (this.has(id)) throw new Error(`An object with id "${id}" already exists.`);
+
+        return this.#atomically(() => {
+            const hqArea = this.#areaId(
+                area ??
+                    rectangle({
+                        center: { ...position, y: position.y + AREA_HEIGHT_OFFSET },
+                        width: DEFAULT_HQ_AREA_SIZE,
+                        depth: DEFAULT_HQ_AREA_SIZE,
+                        yaw,
+                    }),
+                `${id}/HQArea`
+            );
+
+            const properties = {
+                // The exporter leaves out Team when it is the default (Team1).
+                ...(team === 'Team1' ? {} : { Team: team }),
+                AltTeam: 'TeamNeutral',
+                ObjId: objId,
+                InfantrySpawns: this.#spawnIds(spawns, id, objId, 'SpawnPoint_'),
+                HQArea: hqArea,
+            };
+
+            return this.add(
+                this.#placed(id, name, 'HQ_PlayerSpawner', properties, { position, yaw }, ['HQArea', 'InfantrySpawns'])
+            );
+        });
+    }
+
+    /**
+     * Add a `CapturePoint` with its capture area and (optionally) per-team spawn points. Spawn points given as placements
+     * are created as `<id>/SpawnPoint_Team1_1`, `<id>/SpawnPoint_Team2_1` and so on.
+     * @param {object} options
+     * @param {string} options.id - Unique ID, e.g. `CapturePoint_A`.
+     * @param {string} [options.name] - Defaults to the last segment of the ID.
+     * @param {number} [options.objId] - Defaults to `nextObjId()`.
+     * @param {{ x: number, y: number, z: number }} options.position
+     * @param {number} [options.yaw=0] - Facing, in degrees.
+     * @param {string | object[] | number} options.area - Capture area: a volume ID, polygon points, or a radius in
+     * meters for an octagon around the point.
+     * @param {(string | object)[]} [options.team1Spawns] - Team 1 spawn point IDs or placements.
+     * @param {(string | object)[]} [options.team2Spawns] - Team 2 spawn point IDs or placements.
+     */
+    addCapturePoint({ id, name, objId = this.nextObjId(), position, yaw, area, team1Spawns, team2Spawns }) {
+        if (area === undefined) throw new Error(`Capture point "${id}" needs an area.`);
+
+        if (this.has(id)) throw new Error(`An object with id "${id}" already exists.`);
+
+        return this.#atomically(() => {
+            const captureArea = this.#areaId(
+                typeof area === 'number'
+                    ? regularPolygon({ center: { ...position, y: position.y + AREA_HEIGHT_OFFSET }, radius: area })
+                    : area,
+                `${id}/CaptureArea`
+            );
+
+            const properties = { ObjId: objId, CaptureArea: captureArea };
+            const linked = ['CaptureArea'];
+
+            for (const [key, spawns, prefix] of [
+                ['InfantrySpawnPoints_Team1', team1Spawns, 'SpawnPoint_Team1_'],
+                ['InfantrySpawnPoints_Team2', team2Spawns, 'SpawnPoint_Team2_'],
+            ]) {
+                if (!spawns?.length) continue;
+
+                properties[key] = this.#spawnIds(spawns, id, objId, prefix);
+                linked.push(key);
+            }
+
+            return this.add(this.#placed(id, name, 'CapturePoint', properties, { position, yaw }, linked));
+        });
+    }
+
+    /** Lint the current tree (see spatial-lint-core.js), with the reference properties in spatial-minifier.config.json. */
+    lint(options) {
+        return lintSpatialJson(this.toString(), { ...loadMinifierConfig(), ...options });
+    }
+
+    /** The spatial JSON, formatted like the Godot export. */
+    toString() {
+        return `${JSON.stringify(this.root, null, 4)}\n`;
+    }
+
+    /**
+     * Write the spatial JSON to `filePath`. Throws, without writing, if the result has lint errors (broken references,
+     * duplicate IDs and the like); lint warnings are returned.
+     */
+    save(filePath, lintOptions) {
+        const { errors, warnings } = this.lint(lintOptions);
+
+        if (errors.length > 0) {
+            throw new Error(
+                `Not saving ${filePath}; the spatial JSON has errors:` +
+                    errors.map(({ check, id, message }) => `\n  [${check}] ${id}: ${message}`).join('')
+            );
+        }
+
+        fs.writeFileSync(filePath, this.toString(), 'utf8');
+
+        return warnings;
+    }
+}
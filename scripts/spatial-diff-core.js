@@ -0,0 +1,225 @@
+// Object-level diff between two versions of a BF6 spatial JSON file. No Node-only APIs.
+// Used by spatial-diff.js (CLI).
+
+import {
+    collectSpatialObjects,
+    describeJsonValue,
+    diffTrees,
+    parseSpatialJson,
+    unminifySpatialJson,
+} from './spatial-minifier-core.js';
+
+// Default precision of the minifier is 6 decimal places, so a minified file stays within this of the original.
+export const DEFAULT_DIFF_TOLERANCE = 1e-5;
+
+// Compared separately (as a move or a rotation) rather than as property changes.
+const TRANSFORM_PROPERTIES = new Set(['position', 'right', 'up', 'front']);
+
+const AXES = ['right', 'up', 'front'];
+
+function isVector(value) {
+    return (
+        value !== null &&
+        typeof value === 'object' &&
+        Number.isFinite(value.x) &&
+        Number.isFinite(value.y) &&
+        Number.isFinite(value.z)
+    );
+}
+
+function hasRotation(node) {
+    return AXES.every((axis) => isVector(node[axis]));
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+// Angle of the rotation taking one right/up/front basis to the other: the trace of R1ᵀR2 is 1 + 2cos(angle).
+function rotationAngleDegrees(before, after) {
+    const trace = AXES.reduce((sum, axis) => sum + dot(before[axis], after[axis]), 0);
+    const cosine = Math.max(-1, Math.min(1, (trace - 1) / 2));
+
+    return (Math.acos(cosine) * 180) / Math.PI;
+}
+
+function readSpatialObjects(jsonString, nameMap) {
+    const json = nameMap ? unminifySpatialJson(jsonString, nameMap) : jsonString;
+    const objects = new Map();
+
+    // Should an id occur twice (lint-spatials reports that), the first object with it is compared.
+    for (const object of collectSpatialObjects(parseSpatialJson(json))) {
+        if (!objects.has(object.id)) objects.set(object.id, object);
+    }
+
+    return objects;
+}
+
+function diffObject(before, after, tolerance) {
+    const properties = [];
+    let moved;
+    let rotated;
+
+    const beforePosition = before.node.position;
+    const afterPosition = after.node.position;
+
+    if (isVector(beforePosition) && isVector(afterPosition)) {
+        if (diffTrees(beforePosition, afterPosition, tolerance).length > 0) {
+            const distance = Math.hypot(
+                afterPosition.x - beforePosition.x,
+                afterPosition.y - beforePosition.y,
+                afterPosition.z - beforePosition.z
+            );
+
+            moved = { from: beforePosition, to: afterPosition, distance };
+        }
+    } else if (diffTrees(beforePosition, afterPosition).length > 0) {
+        properties.push({ path: 'position', before: beforePosition, after: afterPosition });
+    }
+
+    if (hasRotation(before.node) && hasRotation(after.node)) {
+        const changed = AXES.some((axis) => diffTrees(before.node[axis], after.node[axis], tolerance).length > 0);
+
+        if (changed) {
+            rotated = {
+                degrees: rotationAngleDegrees(before.node, after.node),
+                from: Object.fromEntries(AXES.map((axis) => [axis, before.node[axis]])),
+                to: Object.fromEntries(AXES.map((axis) => [axis, after.node[axis]])),
+            };
+        }
+    } else {
+        for (const axis of AXES) {
+            if (diffTrees(before.node[axis], after.node[axis]).length > 0) {
+                properties.push({ path: axis, before: before.node[axis], after: after.node[axis] });
+            }
+        }
+    }
+
+    const withoutTransform = (node) =>
+        Object.fromEntries(Object.entries(node).filter(([key]) => !TRANSFORM_PROPERTIES.has(key)));
+
+    properties.push(...diffTrees(withoutTransform(before.node), withoutTransform(after.node), tolerance));
+
+    if (!moved && !rotated && properties.length === 0) return undefined;
+
+    return { id: after.id, type: after.type ?? before.type, status: 'changed', moved, rotated, properties };
+}
+
+/**
+ * Compare two versions of a spatial JSON file, matching objects by `id` (export order does not matter).
+ *
+ * Returns `{ objects, summary }`. `objects` lists one entry per difference: `{ id, type, status: 'added' }`,
+ * `{ id, type, status: 'removed' }`, or `{ id, type, status: 'changed', moved?, rotated?, properties }`, where `moved`
+ * is `{ from, to, distance }`, `rotated` is `{ degrees, from, to }` (the right/up/front vectors) and `properties` lists
+ * the other changed values as `{ path, before, after }` (see `diffTrees`). `summary` counts each kind.
+ * @param {string} beforeJson - Raw JSON string of the earlier version.
+ * @param {string} afterJson - Raw JSON string of the later version.
+ * @param {object} [options] - Optional settings.
+ * @param {Map<string, string> | Record<string, string>} [options.beforeNameMap] - Name map to restore `beforeJson`
+ * with, if it is minified (see `unminifySpatialJson`).
+ * @param {Map<string, string> | Record<string, string>} [options.afterNameMap] - Name map to restore `afterJson` with,
+ * if it is minified.
+ * @param {number} [options.tolerance=1e-5] - Largest difference between two numbers that still counts as equal.
+ */
+export function diffSpatialJson(beforeJson, afterJson, options = {}) {
+    const tolerance = options.tolerance ?? DEFAULT_DIFF_TOLERANCE;
+
+    const beforeObjects = readSpatialObjects(beforeJson, options.beforeNameMap);
+    const afterObjects = readSpatialObjects(afterJson, options.afterNameMap);
+
+    const objects = [];
+
+    for (const [id, before] of beforeObjects) {
+        const after = afterObjects.get(id);
+
+        if (!after) {
+            objects.push({ id, type: before.type, status: 'removed' });
+            continue;
+        }
+
+        const entry = diffObject(before, after, tolerance);
+
+        if (entry) objects.push(entry);
+    }
+
+    for (const [id, after] of afterObjects) {
+        if (!beforeObjects.has(id)) objects.push({ id, type: after.type, status: 'added' });
+    }
+
+    objects.sort((a, b) => a.id.localeCompare(b.id));
+
+    const summary = {
+        added: objects.filter(({ status }) => status === 'added').length,
+        removed: objects.filter(({ status }) => status === 'removed').length,
+        changed: objects.filter(({ status }) => status === 'changed').length,
+        moved: objects.filter(({ moved }) => moved).length,
+        rotated: objects.filter(({ rotated }) => rotated).length,
+        unchanged: [...afterObjects.keys()].filter((id) => beforeObjects.has(id)).length,
+    };
+
+    summary.unchanged -= summary.changed;
+
+    return { objects, summary };
+}
+
+function formatVector({ x, y, z }) {
+    return `(${[x, y, z].map((n) => Number(n.toFixed(3))).join(', ')})`;
+}
+
+// Lists of IDs and other plain values read better as the items added and removed than as the whole list twice.
+function describeChange(before, after) {
+    const isPlainList = (value) =>
+        Array.isArray(value) && value.every((item) => item === null || typeof item !== 'object');
+
+    if (isPlainList(before) && isPlainList(after)) {
+        const removed = before.filter((item) => !after.includes(item));
+        const added = after.filter((item) => !before.includes(item));
+
+        if (removed.length + added.length > 0) {
+            return [
+                ...removed.map((item) => `-${describeJsonValue(item)}`),
+                ...added.map((item) => `+${describeJsonValue(item)}`),
+            ].join(', ');
+        }
+    }
+
+    return `${describeJsonValue(before)} → ${describeJsonValue(after)}`;
+}
+
+/** Human-readable lines for a diff from `diffSpatialJson`: `+` added, `-` removed, `~` changed. */
+export function formatSpatialDiff({ objects, summary }) {
+    const lines = [];
+
+    for (const { id, type, status, moved, rotated, properties } of objects) {
+        const label = type ? `${id} (${type})` : id;
+
+        if (status !== 'changed') {
+            lines.push(`${status === 'added' ? '+' : '-'} ${label}`);
+            continue;
+        }
+
+        lines.push(`~ ${label}`);
+
+        if (moved) {
+            lines.push(
+                `    moved ${moved.distance.toFixed(2)} m: ${formatVector(moved.from)} → ${formatVector(moved.to)}`
+            );
+        }
+
+        if (rotated) lines.push(`    rotated ${rotated.degrees.toFixed(1)}°`);
+
+        for (const { path, before, after } of properties) {
+            lines.push(`    ${path}: ${describeChange(before, after)}`);
+        }
+    }
+
+    const moves = [summary.moved && `${summary.moved} moved`, summary.rotated && `${summary.rotated} rotated`];
+    const detail = moves.filter(Boolean).join(', ');
+
+    lines.push(
+        `${summary.added} added, ${summary.removed} removed, ${summary.changed} changed` +
+            `${detail ? ` (${detail})` : ''}, ${summary.unchanged} unchanged`
+    );
+
+    return lines;
+}
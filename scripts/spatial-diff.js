@@ -0,0 +1,78 @@
+/**
+ * Shows what changed between two versions of a spatial JSON file (see spatial-diff-core.js): added and removed
+ * objects, moves, rotations and changed property values, with objects matched by `id`. A minified file can be compared
+ * with its original by passing the name map saved when it was minified.
+ * Exits with 0 if the files match, 1 if they differ and 2 if they could not be compared.
+ *
+ * Usage: node scripts/spatial-diff.js [--json] [--tolerance N] [--map FILE] [--before-map FILE] before.json after.json
+ *   --json              Print the diff as JSON instead of text.
+ *   --tolerance N       Largest difference between two numbers that still counts as equal (default 1e-5).
+ *   --map FILE          Name map for after.json (alias of --after-map), e.g. original.json vs original.minified.json.
+ *   --before-map FILE   Name map for before.json.
+ */
+import fs from 'node:fs';
+
+import { DEFAULT_DIFF_TOLERANCE, diffSpatialJson, formatSpatialDiff } from './spatial-diff-core.js';
+
+const parseArgs = () => {
+    const argv = process.argv.slice(2);
+    const files = [];
+    let json = false;
+    let tolerance = DEFAULT_DIFF_TOLERANCE;
+    let beforeMapFile;
+    let afterMapFile;
+
+    for (let i = 0; i < argv.length; ++i) {
+        if (argv[i] === '--json') {
+            json = true;
+        } else if (argv[i] === '--tolerance' && argv[i + 1]) {
+            const value = Number(argv[++i]);
+
+            if (value >= 0) tolerance = value;
+        } else if ((argv[i] === '--map' || argv[i] === '--after-map') && argv[i + 1]) {
+            afterMapFile = argv[++i];
+        } else if (argv[i] === '--before-map' && argv[i + 1]) {
+            beforeMapFile = argv[++i];
+        } else if (!argv[i].startsWith('-')) {
+            files.push(argv[i]);
+        }
+    }
+
+    return { files, json, tolerance, beforeMapFile, afterMapFile };
+};
+
+const { files, json, tolerance, beforeMapFile, afterMapFile } = parseArgs();
+
+if (files.length !== 2) {
+    console.log('Usage: node scripts/spatial-diff.js [--json] [--tolerance N] [--map FILE] before.json after.json');
+    process.exit(2);
+}
+
+const [beforeFile, afterFile] = files;
+
+const readNameMap = (file) => (file ? JSON.parse(fs.readFileSync(file, 'utf8')) : undefined);
+
+let diff;
+
+try {
+    diff = diffSpatialJson(fs.readFileSync(beforeFile, 'utf8'), fs.readFileSync(afterFile, 'utf8'), {
+        beforeNameMap: readNameMap(beforeMapFile),
+        afterNameMap: readNameMap(afterMapFile),
+        tolerance,
+    });
+} catch (error) {
+    console.log(`Error: ${error.message}`);
+    process.exit(2);
+}
+
+if (json) {
+    console.log(JSON.stringify({ before: beforeFile, after: afterFile, ...diff }, null, 4));
+} else {
+    console.log('');
+    console.log(`  ${beforeFile} → ${afterFile}`);
+    console.log('  ─────────────────────────────────────────');
+
+    for (const line of formatSpatialDiff(diff)) console.log(`  ${line}`);
+}
+
+process.exit(diff.objects.length === 0 ? 0 : 1);
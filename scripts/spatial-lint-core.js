@@ -0,0 +1,174 @@
+// Structural checks for BF6 spatial JSON. No Node-only APIs.
+// Used by lint-spatials.js (CLI).
+
+import { collectSpatialObjects, parseSpatialJson, resolveMinifierRules } from './spatial-minifier-core.js';
+
+// How far (in meters, measured horizontally) an object may be outside the CombatArea before it is reported.
+export const DEFAULT_MAX_DISTANCE_OUTSIDE_COMBAT_AREA = 50;
+
+// Returns the IDs referenced by `key` on `node`, ignoring empty values.
+function getReferencedIds(node, key) {
+    const value = node[key];
+
+    if (typeof value === 'string') return value === '' ? [] : [value];
+
+    if (Array.isArray(value)) return value.filter((id) => typeof id === 'string' && id !== '');
+
+    return [];
+}
+
+// Every property on the object that holds references: the known reference properties, plus whatever `linked` lists.
+function getReferenceProperties(node, rules) {
+    const keys = Object.keys(node).filter(
+        (key) => rules.singleReferenceProperties.has(key) || rules.arrayReferenceProperties.has(key)
+    );
+
+    for (const key of Array.isArray(node.linked) ? node.linked : []) {
+        if (typeof key === 'string' && !keys.includes(key)) keys.push(key);
+    }
+
+    return keys;
+}
+
+function isPoint(value) {
+    return value !== null && typeof value === 'object' && Number.isFinite(value.x) && Number.isFinite(value.z);
+}
+
+// Horizontal (x/z) distance from a point to a polygon: 0 inside, otherwise the distance to the nearest edge.
+function distanceOutsidePolygon(point, polygon) {
+    let inside = false;
+    let nearest = Infinity;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+
+        if (a.z > point.z !== b.z > point.z && point.x < ((b.x - a.x) * (point.z - a.z)) / (b.z - a.z) + a.x) {
+            inside = !inside;
+        }
+
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const lengthSquared = dx * dx + dz * dz;
+        const t =
+            lengthSquared === 0
+                ? 0
+                : Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.z - a.z) * dz) / lengthSquared));
+
+        nearest = Math.min(nearest, Math.hypot(point.x - (a.x + t * dx), point.z - (a.z + t * dz)));
+    }
+
+    return inside ? 0 : nearest;
+}
+
+/**
+ * Lint a BF6 spatial JSON string. Returns `{ errors, warnings }`, each a list of `{ check, id, message }` entries.
+ *
+ * Errors: references to IDs that do not exist (`dangling-reference`), `linked` properties that are missing
+ * (`missing-linked-property`), duplicate `id` or `ObjId` values (`duplicate-id`, `duplicate-objid`), HQs without
+ * infantry spawns (`empty-hq-spawns`) and polygon volumes with fewer than three points (`degenerate-polygon`).
+ * Warnings: objects positioned far outside every CombatArea (`outside-combat-area`).
+ * @param {string} jsonString - Raw JSON string (spatial map export).
+ * @param {object} [options] - Optional settings.
+ * @param {number} [options.maxDistanceOutsideCombatArea=50] - Meters outside the CombatArea before an object is reported.
+ * @param {string[]} [options.singleReferenceProperties] - Extra single-ID reference properties to check, as in
+ * spatial-minifier.config.json (see resolveMinifierRules).
+ * @param {string[]} [options.arrayReferenceProperties] - Extra ID-list reference properties to check.
+ */
+export function lintSpatialJson(jsonString, options = {}) {
+    const maxDistanceOutside = options.maxDistanceOutsideCombatArea ?? DEFAULT_MAX_DISTANCE_OUTSIDE_COMBAT_AREA;
+    const rules = resolveMinifierRules(options);
+
+    const errors = [];
+    const warnings = [];
+
+    const objects = collectSpatialObjects(parseSpatialJson(jsonString));
+    const objectsById = new Map();
+    const objIdOwners = new Map();
+
+    for (const object of objects) {
+        if (objectsById.has(object.id)) {
+            errors.push({ check: 'duplicate-id', id: object.id, message: `id "${object.id}" is used more than once` });
+        } else {
+            objectsById.set(object.id, object);
+        }
+
+        if (object.objId === undefined) continue;
+
+        if (objIdOwners.has(object.objId)) {
+            errors.push({
+                check: 'duplicate-objid',
+                id: object.id,
+                message: `ObjId ${object.objId} is also used by ${objIdOwners.get(object.objId)}`,
+            });
+        } else {
+            objIdOwners.set(object.objId, object.id);
+        }
+    }
+
+    for (const { id, type, node } of objects) {
+        for (const key of getReferenceProperties(node, rules)) {
+            if (!Object.hasOwn(node, key)) {
+                errors.push({
+                    check: 'missing-linked-property',
+                    id,
+                    message: `linked lists "${key}", but the object has no such property`,
+                });
+                continue;
+            }
+
+            for (const referencedId of getReferencedIds(node, key)) {
+                if (objectsById.has(referencedId)) continue;
+
+                errors.push({
+                    check: 'dangling-reference',
+                    id,
+                    message: `${key} refers to "${referencedId}", which does not exist`,
+                });
+            }
+        }
+
+        if (type === 'HQ_PlayerSpawner' && getReferencedIds(node, 'InfantrySpawns').length === 0) {
+            errors.push({ check: 'empty-hq-spawns', id, message: 'HQ has no InfantrySpawns' });
+        }
+
+        if (type === 'PolygonVolume') {
+            const pointCount = Array.isArray(node.points) ? node.points.filter(isPoint).length : 0;
+
+            if (pointCount < 3) {
+                errors.push({
+                    check: 'degenerate-polygon',
+                    id,
+                    message: `polygon volume has ${pointCount} valid point(s); at least 3 are needed`,
+                });
+            }
+        }
+    }
+
+    // Objects are checked against the union of all CombatArea volumes (usually there is only one).
+    const combatPolygons = objects
+        .filter((object) => object.type === 'CombatArea')
+        .flatMap(({ node }) => getReferencedIds(node, 'CombatVolume'))
+        .map((volumeId) => objectsById.get(volumeId)?.node.points)
+        .filter((points) => Array.isArray(points) && points.filter(isPoint).length >= 3)
+        .map((points) => points.filter(isPoint));
+
+    if (combatPolygons.length === 0) return { errors, warnings };
+
+    for (const { id, type, isStatic, node } of objects) {
+        // The CombatArea's own position is only where its gizmo sits; static map assets are not ours to move.
+        if (isStatic || type === 'CombatArea' || !isPoint(node.position)) continue;
+
+        const distance = Math.min(...combatPolygons.map((polygon) => distanceOutsidePolygon(node.position, polygon)));
+
+        if (distance <= maxDistanceOutside) continue;
+
+        warnings.push({
+            check: 'outside-combat-area',
+            id,
+            message: `${type ?? 'object'} is ${distance.toFixed(0)} m outside the CombatArea`,
+        });
+    }
+
+    return { errors, warnings };
+}
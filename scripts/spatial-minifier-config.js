@@ -0,0 +1,51 @@
+// Loads spatial-minifier.config.json from the project root: names/IDs the minifier must keep (e.g. objects the script
+// looks up by name) and reference properties it does not know about yet. Honored by the minifier CLIs, the constants
+// generator, the spatial linter and the spatial builder, so they all agree on what gets renamed.
+//
+//   {
+//       "preservedNames": ["Script_*", "ScoreboardAnchor"],
+//       "singleReferenceProperties": ["NewAreaProperty"],
+//       "arrayReferenceProperties": ["NewSpawnListProperty"]
+//   }
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { resolveMinifierRules } from './spatial-minifier-core.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MINIFIER_CONFIG_FILE = 'spatial-minifier.config.json';
+
+export const MINIFIER_CONFIG_FIELDS = ['preservedNames', 'singleReferenceProperties', 'arrayReferenceProperties'];
+
+export const DEFAULT_MINIFIER_CONFIG_PATH = path.join(__dirname, '..', MINIFIER_CONFIG_FILE);
+
+/**
+ * Load spatial-minifier.config.json (or another config path). Returns an empty config if the file does not exist.
+ * The result can be spread into the options of minifySpatialJson, unminifySpatialJson and lintSpatialJson.
+ */
+export const loadMinifierConfig = (configPath = DEFAULT_MINIFIER_CONFIG_PATH) => {
+    if (!fs.existsSync(configPath)) return {};
+
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const unknownFields = Object.keys(config).filter(
+        (key) => key !== '$schema' && !MINIFIER_CONFIG_FIELDS.includes(key)
+    );
+
+    if (unknownFields.length > 0) {
+        throw new Error(
+            `${configPath} has unknown fields: ${unknownFields.join(', ')}. ` +
+                `Supported fields: ${MINIFIER_CONFIG_FIELDS.join(', ')}.`
+        );
+    }
+
+    try {
+        resolveMinifierRules(config);
+    } catch (error) {
+        throw new Error(`${configPath}: ${error.message}`, { cause: error });
+    }
+
+    return Object.fromEntries(MINIFIER_CONFIG_FIELDS.filter((key) => key in config).map((key) => [key, config[key]]));
+};
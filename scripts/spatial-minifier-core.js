@@ -1,6 +1,6 @@
 // Originally written by dfanz0r at https://github.com/dfanz0r/PortalSpatialMinifier/tree/main
 // Translated to JavaScript by Michael De Luca
-// Version 1.2
+// Version 1.6
 // Pure minification logic for BF6 spatial JSON. No Node-only APIs.
 // Used by spatial-minifier.js (CLI) and by the docs minifier page (browser).
 
@@ -22,7 +22,7 @@ function isExcluded(nameOrId) {
 }
 
 // Properties that contain single ID references to other objects.
-const SINGLE_REFERENCE_PROPERTIES = new Set([
+export const SINGLE_REFERENCE_PROPERTIES = new Set([
     'HQArea',
     'CombatVolume',
     'ExclusionVolume',
@@ -47,7 +47,7 @@ const SINGLE_REFERENCE_PROPERTIES = new Set([
 ]);
 
 // Properties that contain arrays of ID references to other objects.
-const ARRAY_ID_REFERENCE_PROPERTIES = new Set([
+export const ARRAY_ID_REFERENCE_PROPERTIES = new Set([
     'InfantrySpawns',
     'ForwardSpawns',
     'InfantrySpawnPoints_Team1',
@@ -58,6 +58,53 @@ const ARRAY_ID_REFERENCE_PROPERTIES = new Set([
     'AlternateSpawns',
 ]);
 
+// Longest run of short names a preserved name pattern may swallow before giving up (e.g. patterns matching every
+// lowercase name).
+const MAX_SKIPPED_SHORT_NAMES = 10000;
+
+function toWildcardRegExp(pattern) {
+    const source = pattern
+        .split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+
+    return new RegExp(`^${source}$`);
+}
+
+function toStringList(value, optionName) {
+    if (value === undefined) return [];
+
+    if (!Array.isArray(value) || value.some((item) => typeof item !== 'string' || item === '')) {
+        throw new Error(`${optionName} must be a list of non-empty strings`);
+    }
+
+    return value;
+}
+
+/**
+ * Resolve the configurable minifier rules from minifier options (or a parsed spatial-minifier.config.json): which
+ * names/IDs are never replaced, and which properties hold references to other objects.
+ * @param {object} [options] - Optional settings.
+ * @param {string[]} [options.preservedNames] - Names/IDs (or parts of hierarchical IDs) to keep as they are, on top of
+ * `Static` and the `Static/` tree. `*` matches any run of characters, e.g. `Script_*`.
+ * @param {string[]} [options.singleReferenceProperties] - Properties holding one ID, on top of
+ * SINGLE_REFERENCE_PROPERTIES.
+ * @param {string[]} [options.arrayReferenceProperties] - Properties holding a list of IDs, on top of
+ * ARRAY_ID_REFERENCE_PROPERTIES.
+ * @returns {{ isPreserved: (nameOrId: string) => boolean, singleReferenceProperties: Set<string>, arrayReferenceProperties: Set<string> }}
+ */
+export function resolveMinifierRules(options = {}) {
+    const patterns = toStringList(options.preservedNames, 'preservedNames').map(toWildcardRegExp);
+    const singleReferenceProperties = toStringList(options.singleReferenceProperties, 'singleReferenceProperties');
+    const arrayReferenceProperties = toStringList(options.arrayReferenceProperties, 'arrayReferenceProperties');
+
+    return {
+        isPreserved: (nameOrId) => isExcluded(nameOrId) || patterns.some((pattern) => pattern.test(nameOrId)),
+        singleReferenceProperties: new Set([...SINGLE_REFERENCE_PROPERTIES, ...singleReferenceProperties]),
+        arrayReferenceProperties: new Set([...ARRAY_ID_REFERENCE_PROPERTIES, ...arrayReferenceProperties]),
+    };
+}
+
 // Generate short names like: a, b, c, ..., z, aa, ab, ac, etc.
 function generateShortName(number) {
     let result = '';
@@ -72,23 +119,30 @@ function generateShortName(number) {
     return result;
 }
 
-function getOrCreateShortName(originalName, nameMap, counterRef) {
-    if (isExcluded(originalName)) return originalName; // Don't replace names that are in the exclusion list
+function getOrCreateShortName(originalName, nameMap, counterRef, rules) {
+    if (rules.isPreserved(originalName)) return originalName; // Don't replace names that are in the exclusion list
 
     if (nameMap.has(originalName)) return nameMap.get(originalName);
 
-    const shortName = generateShortName(counterRef.current++);
+    let shortName = generateShortName(counterRef.current++);
+
+    // A short name equal to a preserved name could clash with an object that keeps that name, so it is skipped.
+    for (let skipped = 0; rules.isPreserved(shortName); ++skipped) {
+        if (skipped === MAX_SKIPPED_SHORT_NAMES) throw new Error('preservedNames match every short name');
+
+        shortName = generateShortName(counterRef.current++);
+    }
 
     nameMap.set(originalName, shortName);
 
     return shortName;
 }
 
-function getOrCreateShortId(originalId, nameMap, counterRef) {
+function getOrCreateShortId(originalId, nameMap, counterRef, rules) {
     if (!originalId || originalId === '') return originalId;
 
     // Don't replace IDs that are in the exclusion list
-    if (isExcluded(originalId)) return originalId;
+    if (rules.isPreserved(originalId)) return originalId;
 
     // Check if we already have a mapping for this ID
     if (nameMap.has(originalId)) return nameMap.get(originalId);
@@ -100,7 +154,7 @@ function getOrCreateShortId(originalId, nameMap, counterRef) {
 
         for (let i = 0; i < parts.length; ++i) {
             // Check if this part is excluded
-            if (isExcluded(parts[i])) {
+            if (rules.isPreserved(parts[i])) {
                 newParts[i] = parts[i]; // Keep the original
                 continue;
             }
@@ -112,7 +166,7 @@ function getOrCreateShortId(originalId, nameMap, counterRef) {
             }
 
             // Create a new short name for this part
-            newParts[i] = getOrCreateShortName(parts[i], nameMap, counterRef);
+            newParts[i] = getOrCreateShortName(parts[i], nameMap, counterRef, rules);
         }
 
         const newId = newParts.join('/');
@@ -126,150 +180,566 @@ function getOrCreateShortId(originalId, nameMap, counterRef) {
     if (nameMap.has(originalId)) return nameMap.get(originalId);
 
     // Otherwise, create a new short identifier for this ID
-    const shortId = getOrCreateShortName(originalId, nameMap, counterRef);
+    const shortId = getOrCreateShortName(originalId, nameMap, counterRef, rules);
 
     return shortId;
 }
 
-// Pass 1: Collect all names and IDs to build the complete mapping
-function collectNamesAndIds(node, nameMap, counterRef, enableNameIdReplacement) {
-    if (node === null || node === undefined) return;
+// Count how often each short name appears in the output: every name, ID and reference that will be replaced counts
+// once per short name in it (hierarchical IDs once per part).
+function countShortNameUses(rootNode, nameMap, rules) {
+    const uses = new Map();
+
+    const countUse = (value) => {
+        if (typeof value !== 'string' || !nameMap.has(value)) return;
+
+        for (const part of nameMap.get(value).split('/')) uses.set(part, (uses.get(part) ?? 0) + 1);
+    };
 
-    if (Array.isArray(node)) {
-        for (let i = 0; i < node.length; ++i) {
-            collectNamesAndIds(node[i], nameMap, counterRef, enableNameIdReplacement);
+    const stack = [rootNode];
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+
+        if (node === null || typeof node !== 'object') continue;
+
+        if (Array.isArray(node)) {
+            for (let i = node.length - 1; i >= 0; --i) stack.push(node[i]);
+            continue;
         }
 
-        return;
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'name' || key === 'id' || rules.singleReferenceProperties.has(key)) {
+                countUse(value);
+            } else if (rules.arrayReferenceProperties.has(key) && Array.isArray(value)) {
+                value.forEach(countUse);
+            } else {
+                stack.push(value);
+            }
+        }
     }
 
-    if (typeof node !== 'object') return;
+    return uses;
+}
+
+// Reassign the short names in `nameMap` so the most used get the shortest ("a" instead of "ab"). Short names are only
+// swapped with each other, so every name/ID still gets a distinct one.
+function rankShortNamesByUse(rootNode, nameMap, rules) {
+    const uses = countShortNameUses(rootNode, nameMap, rules);
+
+    // The short names given to single names/IDs (the ones without "/"), in the order they were generated.
+    const shortNames = [...nameMap.values()].filter((shortName) => !shortName.includes('/'));
 
-    for (const [key, value] of Object.entries(node)) {
-        if (typeof value === 'string' && enableNameIdReplacement) {
+    // The sort is stable, so short names used equally often keep their document order.
+    const ranked = [...shortNames].sort((a, b) => (uses.get(b) ?? 0) - (uses.get(a) ?? 0));
+    const renamed = new Map(ranked.map((shortName, i) => [shortName, shortNames[i]]));
+
+    for (const [originalName, shortName] of nameMap) {
+        const parts = shortName.split('/').map((part) => renamed.get(part) ?? part);
+
+        nameMap.set(originalName, parts.join('/'));
+    }
+}
+
+// Depth-first walks below use an explicit stack instead of recursion, so deeply nested files cannot overflow the call
+// stack. Children are pushed in reverse, so they are visited in document order, exactly as the recursive walks did.
+
+// Pass 1: Collect all names and IDs to build the complete mapping. Visits every `key: value` entry in document order,
+// since the order decides which short name each name/ID gets.
+function collectNamesAndIds(rootNode, nameMap, counterRef, rules) {
+    const stack = [[undefined, rootNode]];
+
+    while (stack.length > 0) {
+        const [key, value] = stack.pop();
+
+        if (typeof value === 'string') {
             if (key === 'name') {
                 // Collect names from "name" property values
-                getOrCreateShortName(value, nameMap, counterRef);
+                getOrCreateShortName(value, nameMap, counterRef, rules);
             } else if (key === 'id') {
                 // Collect IDs from "id" property values
-                getOrCreateShortId(value, nameMap, counterRef);
+                getOrCreateShortId(value, nameMap, counterRef, rules);
             }
+
+            continue;
         }
 
-        // Recursively collect from nested structures
-        collectNamesAndIds(value, nameMap, counterRef, enableNameIdReplacement);
+        if (value === null || typeof value !== 'object') continue;
+
+        const entries = Array.isArray(value) ? value.map((item) => [undefined, item]) : Object.entries(value);
+
+        for (let i = entries.length - 1; i >= 0; --i) stack.push(entries[i]);
     }
 }
 
 // Pass 2: Replace all references using the complete mapping
-function replaceReferencesRecursively(node, nameMap, enableNameIdReplacement) {
-    if (node === null || node === undefined) return;
+function replaceReferences(rootNode, nameMap, enableNameIdReplacement, rules) {
+    const stack = [rootNode];
 
-    if (Array.isArray(node)) {
-        for (let i = 0; i < node.length; ++i) {
-            replaceReferencesRecursively(node[i], nameMap, enableNameIdReplacement);
+    while (stack.length > 0) {
+        const node = stack.pop();
+
+        if (node === null || typeof node !== 'object') continue;
+
+        if (Array.isArray(node)) {
+            for (let i = node.length - 1; i >= 0; --i) stack.push(node[i]);
+            continue;
         }
 
-        return;
-    }
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'name' && typeof value === 'string' && enableNameIdReplacement) {
+                // Check if this object has a Static/ ID - if so, don't rename its name
+                let isStaticObject = false;
 
-    if (typeof node !== 'object') return;
+                if (node.id && typeof node.id === 'string') {
+                    isStaticObject = node.id.startsWith('Static/');
+                }
 
-    for (const [key, value] of Object.entries(node)) {
-        if (key === 'name' && typeof value === 'string' && enableNameIdReplacement) {
-            // Check if this object has a Static/ ID - if so, don't rename its name
-            let isStaticObject = false;
+                if (!isStaticObject && nameMap.has(value)) {
+                    node[key] = nameMap.get(value);
+                }
 
-            if (node.id && typeof node.id === 'string') {
-                isStaticObject = node.id.startsWith('Static/');
+                continue;
             }
 
-            if (!isStaticObject && nameMap.has(value)) {
-                node[key] = nameMap.get(value);
+            // Replace IDs in "id" property values
+            if (key === 'id' && typeof value === 'string' && enableNameIdReplacement) {
+                if (nameMap.has(value)) {
+                    node[key] = nameMap.get(value);
+                }
+
+                continue;
             }
 
-            continue;
-        }
+            // Replace single ID references
+            if (rules.singleReferenceProperties.has(key) && typeof value === 'string') {
+                if (nameMap.has(value)) {
+                    node[key] = nameMap.get(value);
+                }
 
-        // Replace IDs in "id" property values
-        if (key === 'id' && typeof value === 'string' && enableNameIdReplacement) {
-            if (nameMap.has(value)) {
-                node[key] = nameMap.get(value);
+                continue;
             }
 
-            continue;
+            // Replace array ID references
+            if (rules.arrayReferenceProperties.has(key) && Array.isArray(value)) {
+                for (let i = 0; i < value.length; ++i) {
+                    if (typeof value[i] === 'string' && nameMap.has(value[i])) {
+                        value[i] = nameMap.get(value[i]);
+                    }
+                }
+
+                continue;
+            }
+
+            // Process nested objects and regular arrays (that might contain objects)
+            stack.push(value);
         }
+    }
+}
 
-        // Replace single ID references
-        if (SINGLE_REFERENCE_PROPERTIES.has(key) && typeof value === 'string') {
-            if (nameMap.has(value)) {
-                node[key] = nameMap.get(value);
+/**
+ * Round every number in the tree to maxDigits decimal places. Applies to all numbers regardless of original string form
+ * (integers, decimals, scientific). Numbers anywhere below a property listed in `propertyDigits` are rounded to that
+ * property's digits instead (the innermost listed property wins).
+ */
+function reduceNumericPrecisionInTree(rootNode, maxDigits, propertyDigits = {}) {
+    const stack = [[rootNode, maxDigits]];
+
+    while (stack.length > 0) {
+        const [node, digits] = stack.pop();
+
+        if (node === null || typeof node !== 'object') continue;
+
+        const isArray = Array.isArray(node);
+        const keys = isArray ? node.keys() : Object.keys(node);
+
+        for (const key of keys) {
+            const value = node[key];
+            const valueDigits = !isArray && Object.hasOwn(propertyDigits, key) ? propertyDigits[key] : digits;
+
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                node[key] = Number(value.toFixed(valueDigits));
+            } else {
+                stack.push([value, valueDigits]);
             }
+        }
+    }
+}
+
+// Same output as JSON.stringify(rootNode) (or JSON.stringify(rootNode, null, 4) when formatted), built with an
+// explicit stack, since JSON.stringify itself recurses and throws on deeply nested trees.
+function stringifyJson(rootNode, useFormattedOutput) {
+    const indent = useFormattedOutput ? '    ' : '';
+    const parts = [];
+    const stack = [];
+
+    // Writes a primitive, or opens an array/object and pushes it to be written entry by entry.
+    const writeValue = (value, depth) => {
+        if (value === null || typeof value !== 'object') {
+            parts.push(JSON.stringify(value) ?? 'null');
+            return;
+        }
+
+        const isArray = Array.isArray(value);
+        const keys = isArray
+            ? [...value.keys()]
+            : Object.keys(value).filter((key) => value[key] !== undefined && typeof value[key] !== 'function');
+
+        if (keys.length === 0) {
+            parts.push(isArray ? '[]' : '{}');
+            return;
+        }
+
+        parts.push(isArray ? '[' : '{');
+        stack.push({ value, keys, isArray, index: 0, depth: depth + 1 });
+    };
+
+    writeValue(rootNode, 0);
+
+    while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
 
+        if (frame.index === frame.keys.length) {
+            stack.pop();
+
+            if (indent) parts.push(`\n${indent.repeat(frame.depth - 1)}`);
+
+            parts.push(frame.isArray ? ']' : '}');
             continue;
         }
 
-        // Replace array ID references
-        if (ARRAY_ID_REFERENCE_PROPERTIES.has(key) && Array.isArray(value)) {
-            for (let i = 0; i < value.length; ++i) {
-                if (typeof value[i] === 'string' && nameMap.has(value[i])) {
-                    value[i] = nameMap.get(value[i]);
-                }
-            }
+        const key = frame.keys[frame.index++];
+
+        if (frame.index > 1) parts.push(',');
+
+        if (indent) parts.push(`\n${indent.repeat(frame.depth)}`);
+
+        if (!frame.isArray) parts.push(`${JSON.stringify(key)}:${indent ? ' ' : ''}`);
+
+        writeValue(frame.value[key], frame.depth);
+    }
+
+    return parts.join('');
+}
+
+/**
+ * Parse a BF6 spatial JSON string, throwing if it is empty.
+ * @param {string} jsonString - Raw JSON string (spatial map export).
+ * @returns {object} Root node.
+ */
+export function parseSpatialJson(jsonString) {
+    const rootNode = JSON.parse(jsonString);
+
+    if (rootNode === null || rootNode === undefined) throw new Error('Failed to parse JSON content');
+
+    return rootNode;
+}
+
+function collectObjects(rootNode) {
+    const objects = [];
+    const stack = [rootNode];
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+
+        if (node === null || typeof node !== 'object') continue;
+
+        const children = Array.isArray(node) ? node : Object.values(node);
+
+        if (!Array.isArray(node) && typeof node.id === 'string' && node.id !== '') {
+            objects.push({
+                id: node.id,
+                name: typeof node.name === 'string' ? node.name : undefined,
+                type: typeof node.type === 'string' ? node.type : undefined,
+                objId: Number.isInteger(node.ObjId) ? node.ObjId : undefined,
+                isStatic: node.id.startsWith('Static/'),
+                node,
+            });
+        }
+
+        for (let i = children.length - 1; i >= 0; --i) stack.push(children[i]);
+    }
+
+    return objects;
+}
+
+// Rotation basis of an object that is not rotated.
+const IDENTITY_BASIS = {
+    right: { x: 1, y: 0, z: 0 },
+    up: { x: 0, y: 1, z: 0 },
+    front: { x: 0, y: 0, z: 1 },
+};
+
+function isVector(value, expected) {
+    return (
+        value !== null &&
+        typeof value === 'object' &&
+        Object.keys(value).length === 3 &&
+        value.x === expected.x &&
+        value.y === expected.y &&
+        value.z === expected.z
+    );
+}
 
+// Remove `right`, `up` and `front` from objects whose basis is exactly the identity. Static map objects are left alone.
+// Experimental: Portal does not document what it does with an object that has no basis, and reading a missing basis as
+// the identity has not been confirmed by an import.
+function omitIdentityBasis(rootNode) {
+    for (const { node, isStatic } of collectObjects(rootNode)) {
+        if (isStatic) continue;
+
+        if (!Object.entries(IDENTITY_BASIS).every(([key, axis]) => isVector(node[key], axis))) continue;
+
+        for (const key of Object.keys(IDENTITY_BASIS)) delete node[key];
+    }
+}
+
+/**
+ * List every object in a parsed spatial file that has an `id`, in document order.
+ * @param {object} rootNode - Root node from parseSpatialJson.
+ * @returns {{ id: string, name?: string, type?: string, objId?: number, isStatic: boolean, node: object }[]}
+ */
+export function collectSpatialObjects(rootNode) {
+    return collectObjects(rootNode);
+}
+
+// Properties whose string values are never IDs, even when they happen to equal one (e.g. type "CombatArea").
+const NON_REFERENCE_STRING_PROPERTIES = new Set(['id', 'name', 'type', 'linked']);
+
+// How many differences a failed verification lists before summarizing the rest.
+const MAX_REPORTED_DIFFERENCES = 5;
+
+function formatPath(path, key) {
+    return typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+// Collect differences between two trees, treating numbers within `tolerance` of each other as equal.
+function collectTreeDifferences(beforeRoot, afterRoot, tolerance) {
+    const differences = [];
+    const stack = [[beforeRoot, afterRoot, '']];
+
+    while (stack.length > 0) {
+        const [before, after, path] = stack.pop();
+
+        if (typeof before === 'number' && typeof after === 'number') {
+            if (!(Math.abs(before - after) <= tolerance)) differences.push({ path, before, after });
             continue;
         }
 
-        // Handle regular arrays (that might contain objects)
-        if (Array.isArray(value) && !ARRAY_ID_REFERENCE_PROPERTIES.has(key)) {
-            for (let i = 0; i < value.length; ++i) {
-                replaceReferencesRecursively(value[i], nameMap, enableNameIdReplacement);
-            }
+        if (before === null || after === null || typeof before !== 'object' || typeof after !== 'object') {
+            if (before !== after) differences.push({ path, before, after });
+            continue;
+        }
 
+        // Arrays of different lengths (or an array against an object) are reported as one change of the whole value.
+        if (
+            Array.isArray(before) !== Array.isArray(after) ||
+            (Array.isArray(before) && before.length !== after.length)
+        ) {
+            differences.push({ path, before, after });
             continue;
         }
 
-        // Recursively process nested objects
-        replaceReferencesRecursively(value, nameMap, enableNameIdReplacement);
+        const keys = Array.isArray(before)
+            ? [...before.keys()]
+            : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+        for (let i = keys.length - 1; i >= 0; --i) {
+            stack.push([before[keys[i]], after[keys[i]], formatPath(path, keys[i])]);
+        }
     }
+
+    return differences;
+}
+
+/**
+ * Compare two parsed JSON trees. Returns a list of `{ path, before, after }` entries (e.g. `points[2].x`), where a
+ * property missing on one side is `undefined`. Numbers within `tolerance` of each other count as equal.
+ * @param {*} before - Original tree.
+ * @param {*} after - Changed tree.
+ * @param {number} [tolerance=0] - Largest difference between two numbers that still counts as equal.
+ * @returns {{ path: string, before: *, after: * }[]}
+ */
+export function diffTrees(before, after, tolerance = 0) {
+    return collectTreeDifferences(before, after, tolerance);
 }
 
-/** Recursively round every number in the tree to maxDigits decimal places. Applies to all numbers regardless of original string form (integers, decimals, scientific). */
-function reduceNumericPrecisionInTree(node, maxDigits) {
-    if (node === null || node === undefined) return;
+/** A short, single-line rendering of a JSON value for messages; `undefined` becomes `(missing)`. */
+export function describeJsonValue(value, maxLength = 60) {
+    if (value === undefined) return '(missing)';
 
-    if (Array.isArray(node)) {
-        for (let i = 0; i < node.length; ++i) {
-            if (typeof node[i] === 'number' && Number.isFinite(node[i])) {
-                node[i] = Number(node[i].toFixed(maxDigits));
-            } else {
-                reduceNumericPrecisionInTree(node[i], maxDigits);
+    const text = JSON.stringify(value);
+
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+// Find string values equal to a renamed ID in properties the minifier does not treat as references. Those values keep
+// the original ID while the object they point to is renamed, so the reference breaks after minification.
+function findUnlistedIdReferences(rootNode, renamedIds, rules) {
+    const warnings = [];
+    // `key` is the property name, or undefined for the root and array items (which are never skipped).
+    const stack = [{ value: rootNode, path: '', key: undefined }];
+
+    while (stack.length > 0) {
+        const { value, path, key } = stack.pop();
+
+        if (rules.singleReferenceProperties.has(key) || rules.arrayReferenceProperties.has(key)) continue;
+
+        if (NON_REFERENCE_STRING_PROPERTIES.has(key)) continue;
+
+        if (typeof value === 'string') {
+            if (renamedIds.has(value)) {
+                warnings.push(
+                    `${path} is "${value}", the ID of an object renamed to "${renamedIds.get(value)}", but this ` +
+                        'property is not a known reference property, so it was not renamed'
+                );
             }
+
+            continue;
         }
-        return;
-    }
 
-    if (typeof node === 'object') {
-        for (const [key, value] of Object.entries(node)) {
-            if (typeof value === 'number' && Number.isFinite(value)) {
-                node[key] = Number(value.toFixed(maxDigits));
-            } else {
-                reduceNumericPrecisionInTree(value, maxDigits);
-            }
+        if (value === null || typeof value !== 'object') continue;
+
+        const entries = Array.isArray(value)
+            ? value.map((item, i) => [i, item, undefined])
+            : Object.entries(value).map(([k, item]) => [k, item, k]);
+
+        for (let i = entries.length - 1; i >= 0; --i) {
+            const [itemKey, item, propertyKey] = entries[i];
+
+            stack.push({ value: item, path: formatPath(path, itemKey), key: propertyKey });
         }
     }
+
+    return warnings;
+}
+
+/**
+ * Check that `minifiedJson` is `jsonString` with only names/IDs renamed (per `nameMap`), numbers rounded and the
+ * properties dropped by `removals` (the omission passes that were enabled) removed. Throws if the un-mapped output
+ * differs from the input, and returns warnings for likely references the minifier missed.
+ */
+function verifyMinifiedOutput(jsonString, minifiedJson, nameMap, tolerance, removals, rules) {
+    const expected = parseSpatialJson(jsonString);
+
+    // Properties the size passes removed on purpose are not expected back.
+    for (const remove of removals) remove(expected);
+
+    const actual = parseSpatialJson(
+        nameMap.size > 0 ? restoreNames(minifiedJson, nameMap, rules, false) : minifiedJson
+    );
+
+    const differences = diffTrees(expected, actual, tolerance);
+
+    if (differences.length > 0) {
+        const listed = differences
+            .slice(0, MAX_REPORTED_DIFFERENCES)
+            .map(
+                ({ path, before, after }) =>
+                    `\n  ${path}: expected ${describeJsonValue(before)}, got ${describeJsonValue(after)}`
+            );
+        const more = differences.length - listed.length;
+
+        throw new Error(
+            `Minified output does not match the input after restoring names/IDs (${differences.length} difference(s)):` +
+                listed.join('') +
+                (more > 0 ? `\n  ...and ${more} more` : '')
+        );
+    }
+
+    const renamedIds = new Map();
+
+    for (const { id } of collectSpatialObjects(expected)) {
+        const shortId = nameMap.get(id);
+
+        if (shortId !== undefined && shortId !== id) renamedIds.set(id, shortId);
+    }
+
+    return findUnlistedIdReferences(expected, renamedIds, rules);
+}
+
+// Stages of minifySpatialJson in order, with the rough share of the total time each takes, for progress reporting.
+const MINIFY_STAGE_WEIGHTS = { parse: 0.05, prune: 0.05, rename: 0.2, round: 0.1, serialize: 0.1, verify: 0.5 };
+
+/**
+ * Display names of the size passes reported in `passSavings`, in the order they run. `whitespace` (re-serializing
+ * without indentation) always runs; it also writes every number in its shortest form, without trailing zeros and with
+ * `-0` as `0`.
+ */
+export const MINIFY_PASS_LABELS = {
+    whitespace: 'Whitespace and number formatting',
+    omitIdentityBasis: 'Identity right/up/front omitted',
+    rename: 'Names/IDs shortened',
+    rankShortNames: 'Short names ranked by use',
+    round: 'Numeric precision reduced',
+    propertyPrecision: 'Per-property precision',
+};
+
+/** Decimal digits per property for the `propertyPrecision` option: rotation vectors are kept more precise than positions. */
+export const DEFAULT_PROPERTY_PRECISION = { right: 5, up: 5, front: 5, position: 3, points: 3 };
+
+// Size of a string in bytes when saved as UTF-8.
+function utf8ByteLength(text) {
+    let bytes = 0;
+
+    for (const char of text) {
+        const code = char.codePointAt(0);
+
+        bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    }
+
+    return bytes;
+}
+
+function cloneTree(rootNode) {
+    return parseSpatialJson(stringifyJson(rootNode, false));
+}
+
+function reportMinifyProgress(onProgress, stage) {
+    if (!onProgress) return;
+
+    const stages = Object.keys(MINIFY_STAGE_WEIGHTS);
+    const fraction =
+        stage === 'done'
+            ? 1
+            : stages.slice(0, stages.indexOf(stage)).reduce((sum, previous) => sum + MINIFY_STAGE_WEIGHTS[previous], 0);
+
+    onProgress({ stage, fraction });
 }
 
 /**
  * Minify a BF6 spatial JSON string.
+ *
+ * The output is verified by default: names/IDs are mapped back and the result is compared to the input (numbers may
+ * differ by the rounding precision), and an error is thrown if anything else differs. Strings equal to a renamed ID in
+ * properties that are not known reference properties are returned as warnings, since those references break.
+ *
+ * The size passes (`omitIdentityBasis`, `rankShortNames`, `propertyPrecision`) are opt-in.
+ * Properties they omit are not restored by unminifySpatialJson.
  * @param {string} jsonString - Raw JSON string (spatial map export).
  * @param {object} [options] - Optional settings.
  * @param {boolean} [options.enableNameIdReplacement=true] - Replace names/IDs with short identifiers.
  * @param {boolean} [options.enablePrecisionReduction=true] - Reduce numeric precision.
  * @param {number} [options.precisionDigits=6] - Decimal digits to keep (1–15).
  * @param {boolean} [options.useFormattedOutput=false] - Pretty-print output.
- * @param {boolean} [options.returnMappings=false] - If true, return { minified, nameMap } instead of just the string.
- * @returns {string | { minified: string, nameMap: Map<string, string> }} Minified JSON string, or object when returnMappings is true.
+ * @param {boolean} [options.returnMappings=false] - If true, return { minified, nameMap, warnings } instead of just the string.
+ * @param {boolean} [options.verifyOutput=true] - Verify the output as described above.
+ * @param {string[]} [options.preservedNames] - Extra names/IDs to keep; see resolveMinifierRules.
+ * @param {string[]} [options.singleReferenceProperties] - Extra single-ID reference properties; see resolveMinifierRules.
+ * @param {string[]} [options.arrayReferenceProperties] - Extra ID-list reference properties; see resolveMinifierRules.
+ * @param {boolean} [options.omitIdentityBasis=false] - Experimental: omit `right`, `up` and `front` from (non-static)
+ * objects that are not rotated. Only useful if Portal reads a missing basis as the identity, which is unconfirmed.
+ * @param {boolean} [options.rankShortNames=false] - Give the shortest names to the most referenced names/IDs instead of
+ * assigning them in document order.
+ * @param {Record<string, number>} [options.propertyPrecision] - Decimal digits (1–15) for numbers below the given
+ * properties, e.g. DEFAULT_PROPERTY_PRECISION; other numbers keep precisionDigits. Needs enablePrecisionReduction.
+ * @param {boolean} [options.measurePasses=false] - Measure the bytes each size pass saves (costs an extra
+ * serialization per pass). Returned as `passSavings` with returnMappings; see MINIFY_PASS_LABELS.
+ * @param {(progress: { stage: string, fraction: number }) => void} [options.onProgress] - Called as each stage starts
+ * (`parse`, `prune`, `rename`, `round`, `serialize`, `verify`; skipped stages are not reported) and with stage `done` at
+ * the end. `fraction` is an estimate of the work done so far, from 0 to 1.
+ * @returns {string | { minified: string, nameMap: Map<string, string>, warnings: string[], passSavings?: { pass: string, bytes: number }[] }}
+ * Minified JSON string, or object when returnMappings is true.
  */
 export function minifySpatialJson(jsonString, options = {}) {
     const enableNameIdReplacement = options.enableNameIdReplacement !== false;
@@ -277,24 +747,164 @@ export function minifySpatialJson(jsonString, options = {}) {
     const precisionDigits = Math.max(1, Math.min(15, options.precisionDigits ?? 6));
     const useFormattedOutput = options.useFormattedOutput === true;
     const returnMappings = options.returnMappings === true;
+    const verifyOutput = options.verifyOutput !== false;
+    const rankShortNames = options.rankShortNames === true;
+    const measurePasses = options.measurePasses === true;
+    const onProgress = options.onProgress;
+    const rules = resolveMinifierRules(options);
+
+    const propertyPrecision = options.propertyPrecision
+        ? Object.fromEntries(
+              Object.entries(options.propertyPrecision).map(([key, digits]) => [key, Math.max(1, Math.min(15, digits))])
+          )
+        : null;
+
+    // Passes that remove properties, keyed by their option (and pass) name.
+    const removals = Object.entries({ omitIdentityBasis }).filter(([pass]) => options[pass] === true);
 
     const nameMap = new Map();
     const counterRef = { current: 1 };
+    const passSavings = [];
+    let measuredSize = utf8ByteLength(jsonString);
 
-    const rootNode = JSON.parse(jsonString);
+    // Records how many bytes the pass saved, from the size of `tree` (the result so far) as it would be written.
+    const measure = (pass, tree) => {
+        if (!measurePasses) return;
 
-    if (rootNode === null || rootNode === undefined) throw new Error('Failed to parse JSON content');
+        const size = utf8ByteLength(stringifyJson(tree, useFormattedOutput));
+
+        passSavings.push({ pass, bytes: measuredSize - size });
+        measuredSize = size;
+    };
+
+    reportMinifyProgress(onProgress, 'parse');
+
+    const rootNode = parseSpatialJson(jsonString);
+
+    measure('whitespace', rootNode);
+
+    if (removals.length > 0) {
+        reportMinifyProgress(onProgress, 'prune');
+
+        for (const [pass, remove] of removals) {
+            remove(rootNode);
+            measure(pass, rootNode);
+        }
+    }
 
     if (enableNameIdReplacement) {
-        collectNamesAndIds(rootNode, nameMap, counterRef, enableNameIdReplacement);
-        replaceReferencesRecursively(rootNode, nameMap, enableNameIdReplacement);
+        reportMinifyProgress(onProgress, 'rename');
+        collectNamesAndIds(rootNode, nameMap, counterRef, rules);
+
+        if (rankShortNames) {
+            // Measured against the same tree renamed in document order.
+            if (measurePasses) {
+                const unranked = cloneTree(rootNode);
+
+                replaceReferences(unranked, nameMap, enableNameIdReplacement, rules);
+                measure('rename', unranked);
+            }
+
+            rankShortNamesByUse(rootNode, nameMap, rules);
+        }
+
+        replaceReferences(rootNode, nameMap, enableNameIdReplacement, rules);
+        measure(rankShortNames ? 'rankShortNames' : 'rename', rootNode);
     }
 
     if (enablePrecisionReduction) {
-        reduceNumericPrecisionInTree(rootNode, precisionDigits);
+        reportMinifyProgress(onProgress, 'round');
+
+        // Measured against the same tree rounded to precisionDigits throughout.
+        if (propertyPrecision && measurePasses) {
+            const uniform = cloneTree(rootNode);
+
+            reduceNumericPrecisionInTree(uniform, precisionDigits);
+            measure('round', uniform);
+        }
+
+        reduceNumericPrecisionInTree(rootNode, precisionDigits, propertyPrecision ?? {});
+        measure(propertyPrecision ? 'propertyPrecision' : 'round', rootNode);
     }
 
-    const minifiedJson = useFormattedOutput ? JSON.stringify(rootNode, null, 4) : JSON.stringify(rootNode);
+    reportMinifyProgress(onProgress, 'serialize');
+
+    const minifiedJson = stringifyJson(rootNode, useFormattedOutput);
+
+    if (verifyOutput) reportMinifyProgress(onProgress, 'verify');
+
+    // Rounding to the fewest digits used anywhere sets how far any number may be off.
+    const leastDigits = Math.min(precisionDigits, ...Object.values(propertyPrecision ?? {}));
+    const tolerance = enablePrecisionReduction ? 10 ** -leastDigits : 0;
+    const warnings = verifyOutput
+        ? verifyMinifiedOutput(
+              jsonString,
+              minifiedJson,
+              nameMap,
+              tolerance,
+              removals.map(([, remove]) => remove),
+              rules
+          )
+        : [];
+
+    reportMinifyProgress(onProgress, 'done');
+
+    if (!returnMappings) return minifiedJson;
+
+    return measurePasses
+        ? { minified: minifiedJson, nameMap, warnings, passSavings }
+        : { minified: minifiedJson, nameMap, warnings };
+}
+
+/**
+ * Convert a name map into a Map from short name back to original name/ID.
+ * @param {Map<string, string> | Record<string, string>} nameMap - Map returned by minifySpatialJson (or its JSON form).
+ */
+function buildReverseNameMap(nameMap) {
+    const entries = nameMap instanceof Map ? nameMap.entries() : Object.entries(nameMap ?? {});
+    const reverseMap = new Map();
+
+    for (const [originalName, shortName] of entries) {
+        if (typeof shortName !== 'string') throw new Error(`Invalid name map entry for "${originalName}"`);
+
+        const existing = reverseMap.get(shortName);
+
+        if (existing !== undefined && existing !== originalName) {
+            throw new Error(
+                `Name map is ambiguous: "${shortName}" maps back to both "${existing}" and "${originalName}"`
+            );
+        }
+
+        reverseMap.set(shortName, originalName);
+    }
+
+    return reverseMap;
+}
+
+/**
+ * Restore the original names and IDs in a spatial JSON string minified with name/ID replacement, using the name map
+ * saved at the time. Reduced numeric precision cannot be restored.
+ * @param {string} minifiedJson - Minified JSON string.
+ * @param {Map<string, string> | Record<string, string>} nameMap - Original name/ID to short name, as returned by
+ * minifySpatialJson with returnMappings (a Map) or as saved to a name-map JSON file (a plain object).
+ * @param {object} [options] - Optional settings.
+ * @param {boolean} [options.useFormattedOutput=false] - Pretty-print output.
+ * @param {string[]} [options.singleReferenceProperties] - Extra single-ID reference properties the file was minified
+ * with; see resolveMinifierRules.
+ * @param {string[]} [options.arrayReferenceProperties] - Extra ID-list reference properties the file was minified with.
+ * @returns {string} JSON string with the original names and IDs.
+ */
+export function unminifySpatialJson(minifiedJson, nameMap, options = {}) {
+    return restoreNames(minifiedJson, nameMap, resolveMinifierRules(options), options.useFormattedOutput === true);
+}
+
+function restoreNames(minifiedJson, nameMap, rules, useFormattedOutput) {
+    const reverseMap = buildReverseNameMap(nameMap);
+
+    const rootNode = parseSpatialJson(minifiedJson);
+
+    // The same properties the minifier renamed, looked up in the reverse direction.
+    replaceReferences(rootNode, reverseMap, true, rules);
 
-    return returnMappings ? { minified: minifiedJson, nameMap } : minifiedJson;
+    return stringifyJson(rootNode, useFormattedOutput);
 }
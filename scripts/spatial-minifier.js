@@ -1,11 +1,17 @@
 // Originally written by dfanz0r at https://github.com/dfanz0r/PortalSpatialMinifier/tree/main
 // Translated to JavaScript by Michael De Luca
-// Version 1.2
+// Version 1.5
 // CLI wrapper around spatial-minifier-core.js
 
 import fs from 'fs';
 import path from 'path';
-import { minifySpatialJson } from './spatial-minifier-core.js';
+import { DEFAULT_MINIFIER_CONFIG_PATH, loadMinifierConfig } from './spatial-minifier-config.js';
+import {
+    DEFAULT_PROPERTY_PRECISION,
+    MINIFY_PASS_LABELS,
+    minifySpatialJson,
+    unminifySpatialJson,
+} from './spatial-minifier-core.js';
 
 let showNameMappings = false;
 
@@ -30,10 +36,64 @@ function parseArguments(args, options) {
                 console.log('Precision reduction disabled');
                 break;
 
+            case '--no-verify':
+                options.verifyOutput = false;
+                console.log('Output verification disabled');
+                break;
+
+            case '--omit-identity-basis':
+                options.omitIdentityBasis = true;
+                console.log('Omitting identity right/up/front vectors (experimental)');
+                break;
+
+            case '--rank-names':
+                options.rankShortNames = true;
+                console.log('Giving the shortest names to the most referenced names/IDs');
+                break;
+
+            case '--property-precision':
+                options.propertyPrecision = DEFAULT_PROPERTY_PRECISION;
+                console.log(
+                    'Per-property precision enabled (' +
+                        Object.entries(DEFAULT_PROPERTY_PRECISION)
+                            .map(([key, digits]) => `${key}: ${digits}`)
+                            .join(', ') +
+                        ')'
+                );
+                break;
+
             case '--show-mappings':
                 showNameMappings = true;
                 break;
 
+            case '--report':
+                options.reportPasses = true;
+                break;
+
+            case '--config':
+                if (i + 1 < args.length) {
+                    options.configFile = args[i + 1];
+                    i++;
+                } else {
+                    console.log('Missing config file argument.');
+                    process.exit(1);
+                }
+                break;
+
+            case '--restore':
+                options.restore = true;
+                break;
+
+            case '--map':
+                if (i + 1 < args.length) {
+                    options.mapFile = args[i + 1];
+                    i++;
+                } else {
+                    console.log('Missing name map file argument.');
+                    process.exit(1);
+                }
+                break;
+
             case '--formatted':
             case '--pretty':
                 options.useFormattedOutput = true;
@@ -92,9 +152,10 @@ function parseArguments(args, options) {
     }
 }
 
-function generateOutputFilename(inputFile) {
-    const fileNameWithoutExtension = path.basename(inputFile, path.extname(inputFile));
-    const outputFileName = `${fileNameWithoutExtension}.minified${path.extname(inputFile)}`;
+function generateOutputFilename(inputFile, suffix = 'minified') {
+    // Restoring "level.minified.json" should give "level.restored.json", not "level.minified.restored.json".
+    const fileNameWithoutExtension = path.basename(inputFile, path.extname(inputFile)).replace(/\.minified$/, '');
+    const outputFileName = `${fileNameWithoutExtension}.${suffix}${path.extname(inputFile)}`;
     return path.join(path.dirname(inputFile), outputFileName);
 }
 
@@ -111,8 +172,19 @@ function showHelp() {
     console.log('  --no-rename           Disable name and ID replacement with short identifiers');
     console.log('  --no-precision        Disable numeric precision reduction');
     console.log('  --precision DIGITS    Set precision digits (1-15, default: 6)');
+    console.log('  --omit-identity-basis Experimental: omit right/up/front from objects that are not rotated');
+    console.log('                        (unconfirmed that Portal reads a missing basis as not rotated)');
+    console.log('  --rank-names          Give the shortest names to the most referenced names/IDs');
+    console.log('  --property-precision  Round rotation vectors to 5 digits and positions/points to 3');
     console.log('  --show-mappings       Show name/ID mappings in output');
+    console.log('  --report              Show how many bytes each pass saved (slower: measures after every pass)');
+    console.log('  --no-verify           Skip checking that the output restores to the input');
     console.log('  --formatted, --pretty Output with whitespace and indentation (default: minified)');
+    console.log('  --map FILE            Save the name/ID map as JSON (with --restore: the map to read)');
+    console.log('  --config FILE         Preserved names and extra reference properties');
+    console.log('                        (default: spatial-minifier.config.json in the project root, if present)');
+    console.log('  --restore             Restore original names/IDs in a minified file (requires --map;');
+    console.log('                        output is formatted and defaults to <name>.restored.json)');
     console.log();
     console.log('Examples:');
     console.log('  node json-minifier.js input.json');
@@ -120,6 +192,43 @@ function showHelp() {
     console.log('  node json-minifier.js --no-rename --precision 3 input.json');
     console.log('  node json-minifier.js --formatted --show-mappings input.json');
     console.log('  node json-minifier.js --show-mappings --precision 7 -i input.json --out output.json');
+    console.log('  node json-minifier.js --report --rank-names --property-precision input.json');
+    console.log('  node json-minifier.js --map input.name-map.json input.json');
+    console.log('  node json-minifier.js --restore --map input.name-map.json input.minified.json');
+}
+
+function restore(options) {
+    if (!options.mapFile) {
+        console.log('Error: --restore requires --map FILE (the name map saved when minifying).');
+        process.exit(1);
+    }
+
+    if (options.outputFile === null) {
+        options.outputFile = generateOutputFilename(options.inputFile, 'restored');
+    }
+
+    try {
+        console.log(`Loading minified JSON from: ${options.inputFile}`);
+        console.log(`Loading name map from: ${options.mapFile}`);
+
+        const minifiedJson = fs.readFileSync(options.inputFile, 'utf8');
+        const nameMap = JSON.parse(fs.readFileSync(options.mapFile, 'utf8'));
+
+        // Restored files are for reading and diffing, so they are always formatted.
+        const restoredJson = unminifySpatialJson(minifiedJson, nameMap, {
+            ...options.minifierConfig,
+            useFormattedOutput: true,
+        });
+
+        fs.mkdirSync(path.dirname(options.outputFile), { recursive: true });
+        fs.writeFileSync(options.outputFile, restoredJson, 'utf8');
+
+        console.log(`Restored JSON saved to: ${options.outputFile}`);
+        console.log(`Name map has ${Object.keys(nameMap).length} names and IDs`);
+    } catch (error) {
+        console.log(`Error: ${error.message}`);
+        process.exit(1);
+    }
 }
 
 function main() {
@@ -132,11 +241,34 @@ function main() {
         enablePrecisionReduction: true,
         precisionDigits: 6,
         useFormattedOutput: false,
+        verifyOutput: true,
+        omitIdentityBasis: false,
+        rankShortNames: false,
+        propertyPrecision: null,
+        reportPasses: false,
+        restore: false,
+        mapFile: null,
+        configFile: null,
+        minifierConfig: {},
     };
 
     // Parse command line arguments
     parseArguments(args, options);
 
+    try {
+        const configFile = options.configFile ?? DEFAULT_MINIFIER_CONFIG_PATH;
+
+        // A config named on the command line must exist; the default one is optional.
+        if (options.configFile && !fs.existsSync(configFile)) throw new Error(`Config file not found: ${configFile}`);
+
+        options.minifierConfig = loadMinifierConfig(configFile);
+
+        if (fs.existsSync(configFile)) console.log(`Using minifier config: ${configFile}`);
+    } catch (error) {
+        console.log(`Error: ${error.message}`);
+        process.exit(1);
+    }
+
     // Require an input file
     if (!options.inputFile) {
         console.log('Error: Input file is required.');
@@ -145,6 +277,11 @@ function main() {
         process.exit(1);
     }
 
+    if (options.restore) {
+        restore(options);
+        return;
+    }
+
     // Auto-generate output filename if not specified
     if (options.outputFile === null) {
         options.outputFile = generateOutputFilename(options.inputFile);
@@ -157,16 +294,23 @@ function main() {
         const jsonContent = fs.readFileSync(options.inputFile, 'utf8');
 
         const minifierOptions = {
+            ...options.minifierConfig,
             enableNameIdReplacement: options.enableNameIdReplacement,
             enablePrecisionReduction: options.enablePrecisionReduction,
             precisionDigits: options.precisionDigits,
             useFormattedOutput: options.useFormattedOutput,
-            returnMappings: options.enableNameIdReplacement,
+            verifyOutput: options.verifyOutput,
+            omitIdentityBasis: options.omitIdentityBasis,
+            rankShortNames: options.rankShortNames,
+            propertyPrecision: options.propertyPrecision,
+            // Measuring costs an extra serialization per pass, so it only runs for --report.
+            measurePasses: options.reportPasses,
+            returnMappings: true,
         };
 
         const result = minifySpatialJson(jsonContent, minifierOptions);
-        const minifiedJson = typeof result === 'string' ? result : result.minified;
-        const nameMap = typeof result === 'object' ? result.nameMap : null;
+        const minifiedJson = result.minified;
+        const nameMap = options.enableNameIdReplacement ? result.nameMap : null;
 
         // Write the minified JSON
         fs.mkdirSync(path.dirname(options.outputFile), { recursive: true });
@@ -174,10 +318,24 @@ function main() {
 
         console.log(`Minified JSON saved to: ${options.outputFile}`);
 
+        if (options.verifyOutput) {
+            console.log('Verified: output restores to the input');
+        }
+
+        for (const warning of result.warnings) {
+            console.log(`Warning: ${warning}`);
+        }
+
         if (options.enableNameIdReplacement && nameMap) {
             console.log(`Replaced ${nameMap.size} unique names and IDs`);
         }
 
+        if (options.mapFile && nameMap) {
+            fs.mkdirSync(path.dirname(options.mapFile), { recursive: true });
+            fs.writeFileSync(options.mapFile, JSON.stringify(Object.fromEntries(nameMap), null, 4), 'utf8');
+            console.log(`Name map saved to: ${options.mapFile}`);
+        }
+
         const originalSize = fs.statSync(options.inputFile).size;
         const minifiedSize = fs.statSync(options.outputFile).size;
 
@@ -187,6 +345,13 @@ function main() {
         const reductionPercent = ((originalSize - minifiedSize) / originalSize) * 100;
         console.log(`Size reduction: ${reductionPercent.toFixed(1)}%`);
 
+        if (options.reportPasses) {
+            console.log('Bytes saved per pass:');
+            for (const { pass, bytes } of result.passSavings) {
+                console.log(`  ${MINIFY_PASS_LABELS[pass].padEnd(34)} ${bytes.toLocaleString().padStart(10)}`);
+            }
+        }
+
         // Optionally print the name/ID mappings
         if (showNameMappings && nameMap && nameMap.size > 0) {
             console.log(`\nName/ID mappings:`);
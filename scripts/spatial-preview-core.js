@@ -0,0 +1,250 @@
+// Top-down SVG plan of a BF6 spatial JSON file. No Node-only APIs.
+// Used by preview-spatials.js (CLI) and by the docs minifier page (browser).
+
+import { collectSpatialObjects, parseSpatialJson } from './spatial-minifier-core.js';
+
+const COLORS = {
+    background: '#0f0f12',
+    text: '#e4e4e7',
+    muted: '#71717a',
+    combatArea: '#a1a1aa',
+    volume: '#52525b',
+    capture: '#f59e0b',
+    Team1: '#3b82f6',
+    Team2: '#ef4444',
+    neutral: '#a1a1aa',
+};
+
+const TEAM_LABELS = { Team1: 'Team 1', Team2: 'Team 2', neutral: 'Unassigned' };
+
+// Padding around the drawn objects, in pixels, and room for the title and legend above them.
+const MARGIN = 24;
+const HEADER_HEIGHT = 48;
+
+const SPAWN_RADIUS = 3;
+const ARROW_LENGTH = 10;
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function isPoint(value) {
+    return value !== null && typeof value === 'object' && Number.isFinite(value.x) && Number.isFinite(value.z);
+}
+
+function getPoints(node) {
+    return Array.isArray(node?.points) ? node.points.filter(isPoint) : [];
+}
+
+function getIds(node, key) {
+    const value = node[key];
+
+    if (typeof value === 'string') return value === '' ? [] : [value];
+
+    return Array.isArray(value) ? value.filter((id) => typeof id === 'string' && id !== '') : [];
+}
+
+// HQs default to Team1 when the exporter leaves the property out.
+function getTeam(node) {
+    return node.Team === 'Team2' ? 'Team2' : 'Team1';
+}
+
+function formatLabel({ name, id, objId }) {
+    return objId === undefined ? (name ?? id) : `${name ?? id} #${objId}`;
+}
+
+// What each object is drawn as. Volumes take the role of the first object that refers to them.
+function classifyObjects(objects) {
+    const objectsById = new Map(objects.map((object) => [object.id, object]));
+    const volumeRoles = new Map();
+    const spawnTeams = new Map();
+
+    const assignVolume = (volumeId, role) => {
+        if (objectsById.has(volumeId) && !volumeRoles.has(volumeId)) volumeRoles.set(volumeId, role);
+    };
+
+    const assignSpawns = (ids, team) => {
+        for (const spawnId of ids) if (!spawnTeams.has(spawnId)) spawnTeams.set(spawnId, team);
+    };
+
+    for (const { type, node } of objects) {
+        if (type === 'CombatArea') {
+            for (const volumeId of getIds(node, 'CombatVolume')) assignVolume(volumeId, { kind: 'combat' });
+        } else if (type === 'HQ_PlayerSpawner') {
+            const team = getTeam(node);
+
+            for (const volumeId of getIds(node, 'HQArea')) assignVolume(volumeId, { kind: 'hq', team });
+            assignSpawns(getIds(node, 'InfantrySpawns'), team);
+        } else if (type === 'CapturePoint') {
+            for (const key of ['CaptureArea', 'AdditionalCaptureArea']) {
+                for (const volumeId of getIds(node, key)) assignVolume(volumeId, { kind: 'capture' });
+            }
+
+            assignSpawns(getIds(node, 'InfantrySpawnPoints_Team1'), 'Team1');
+            assignSpawns(getIds(node, 'InfantrySpawnPoints_Team2'), 'Team2');
+        }
+    }
+
+    return { volumeRoles, spawnTeams };
+}
+
+/**
+ * Render a top-down SVG plan of a spatial JSON string: combat areas, HQ areas and capture areas as polygons, HQs,
+ * capture points and spawn points as markers colored by team (spawn points with an arrow along `front`), and labels
+ * with each HQ's and capture point's `name` and `ObjId`. +x points right and +z points down, as in the Godot top view.
+ * Static map assets are not drawn. The output is deterministic, so previews can be committed and diffed.
+ * @param {string} jsonString - Raw JSON string (spatial map export).
+ * @param {object} [options] - Optional settings.
+ * @param {number} [options.width=1024] - Width of the image in pixels; the height follows the map's aspect ratio.
+ * @param {string} [options.title] - Heading drawn above the plan (e.g. the file name).
+ * @param {boolean} [options.labelSpawns=false] - Also label every spawn point.
+ * @returns {string} SVG document.
+ */
+export function renderSpatialPreviewSvg(jsonString, options = {}) {
+    const width = options.width ?? 1024;
+    const labelSpawns = options.labelSpawns === true;
+
+    const objects = collectSpatialObjects(parseSpatialJson(jsonString)).filter((object) => !object.isStatic);
+    const { volumeRoles, spawnTeams } = classifyObjects(objects);
+
+    const volumes = objects.filter(({ node }) => getPoints(node).length >= 3);
+    const markers = objects.filter(
+        ({ type, node }) => ['HQ_PlayerSpawner', 'CapturePoint', 'SpawnPoint'].includes(type) && isPoint(node.position)
+    );
+
+    const extentPoints = [
+        ...volumes.flatMap(({ node }) => getPoints(node)),
+        ...markers.map(({ node }) => node.position),
+    ];
+
+    if (extentPoints.length === 0) throw new Error('Nothing to preview: no volumes, HQs, capture points or spawns.');
+
+    const minX = Math.min(...extentPoints.map(({ x }) => x));
+    const maxX = Math.max(...extentPoints.map(({ x }) => x));
+    const minZ = Math.min(...extentPoints.map(({ z }) => z));
+    const maxZ = Math.max(...extentPoints.map(({ z }) => z));
+
+    const scale = (width - 2 * MARGIN) / Math.max(maxX - minX, maxZ - minZ, 1);
+    const height = Math.ceil(HEADER_HEIGHT + 2 * MARGIN + (maxZ - minZ) * scale);
+
+    const round = (n) => Math.round(n * 10) / 10;
+    const toX = (x) => round(MARGIN + (x - minX) * scale);
+    const toY = (z) => round(HEADER_HEIGHT + MARGIN + (z - minZ) * scale);
+    const toPointList = (points) => points.map(({ x, z }) => `${toX(x)},${toY(z)}`).join(' ');
+
+    const layers = { areas: [], volumes: [], spawns: [], markers: [], labels: [] };
+
+    const addLabel = (x, y, text, color = COLORS.text) => {
+        layers.labels.push(
+            `<text x="${x}" y="${y}" fill="${color}" stroke="${COLORS.background}" stroke-width="3" ` +
+                `paint-order="stroke">${escapeXml(text)}</text>`
+        );
+    };
+
+    // Combat areas go underneath everything else, then other volumes, then HQ and capture areas.
+    const volumeOrder = { combat: 0, other: 1, hq: 2, capture: 2 };
+    const sortedVolumes = volumes
+        .map((object) => ({ object, role: volumeRoles.get(object.id) ?? { kind: 'other' } }))
+        .sort((a, b) => volumeOrder[a.role.kind] - volumeOrder[b.role.kind]);
+
+    for (const { object, role } of sortedVolumes) {
+        const points = toPointList(getPoints(object.node));
+        const id = escapeXml(object.id);
+
+        if (role.kind === 'combat') {
+            layers.areas.push(
+                `<polygon data-id="${id}" points="${points}" fill="${COLORS.combatArea}" fill-opacity="0.06" ` +
+                    `stroke="${COLORS.combatArea}" stroke-width="1.5" stroke-dasharray="6 4"/>`
+            );
+        } else if (role.kind === 'other') {
+            layers.volumes.push(
+                `<polygon data-id="${id}" points="${points}" fill="none" stroke="${COLORS.volume}" stroke-width="1"/>`
+            );
+        } else {
+            const color = role.kind === 'hq' ? COLORS[role.team] : COLORS.capture;
+
+            layers.volumes.push(
+                `<polygon data-id="${id}" points="${points}" fill="${color}" fill-opacity="0.2" stroke="${color}" ` +
+                    'stroke-width="1.5"/>'
+            );
+        }
+    }
+
+    for (const { id, name, type, objId, node } of markers) {
+        const x = toX(node.position.x);
+        const y = toY(node.position.z);
+
+        if (type === 'SpawnPoint') {
+            const color = COLORS[spawnTeams.get(id) ?? 'neutral'];
+            const front = node.front;
+            const length = isPoint(front) ? Math.hypot(front.x, front.z) : 0;
+
+            let arrow = '';
+
+            // An object facing straight up or down has no direction to show from above.
+            if (length > 1e-3) {
+                const endX = round(x + (front.x / length) * ARROW_LENGTH);
+                const endY = round(y + (front.z / length) * ARROW_LENGTH);
+
+                arrow = `<line x1="${x}" y1="${y}" x2="${endX}" y2="${endY}" stroke="${color}" stroke-width="1.5"/>`;
+            }
+
+            layers.spawns.push(
+                `<g data-id="${escapeXml(id)}">${arrow}<circle cx="${x}" cy="${y}" r="${SPAWN_RADIUS}" ` +
+                    `fill="${color}"/></g>`
+            );
+
+            if (labelSpawns) addLabel(x + 5, y - 5, name ?? id, COLORS.muted);
+
+            continue;
+        }
+
+        if (type === 'HQ_PlayerSpawner') {
+            layers.markers.push(
+                `<rect data-id="${escapeXml(id)}" x="${x - 6}" y="${y - 6}" width="12" height="12" ` +
+                    `fill="${COLORS[getTeam(node)]}" stroke="${COLORS.text}" stroke-width="1.5"/>`
+            );
+        } else {
+            layers.markers.push(
+                `<polygon data-id="${escapeXml(id)}" points="${x},${y - 8} ${x + 8},${y} ${x},${y + 8} ${x - 8},${y}" ` +
+                    `fill="${COLORS.capture}" stroke="${COLORS.text}" stroke-width="1.5"/>`
+            );
+        }
+
+        addLabel(x + 10, y + 4, formatLabel({ name, id, objId }));
+    }
+
+    const legend = [
+        ['Team1', TEAM_LABELS.Team1],
+        ['Team2', TEAM_LABELS.Team2],
+        ['capture', 'Capture point'],
+        ['neutral', TEAM_LABELS.neutral],
+    ]
+        .map(([key, label], i) => {
+            const x = MARGIN + i * 130;
+
+            return (
+                `<rect x="${x}" y="34" width="10" height="10" fill="${COLORS[key]}"/>` +
+                `<text x="${x + 16}" y="43" fill="${COLORS.muted}">${escapeXml(label)}</text>`
+            );
+        })
+        .join('');
+
+    const title = options.title ? `${options.title} — ` : '';
+    const size = `${Math.round(maxX - minX)} × ${Math.round(maxZ - minZ)} m`;
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+            'font-family="Consolas, Monaco, monospace" font-size="11">',
+        `<rect width="100%" height="100%" fill="${COLORS.background}"/>`,
+        `<text x="${MARGIN}" y="20" fill="${COLORS.text}" font-size="14">${escapeXml(`${title}${size}`)}</text>`,
+        legend,
+        ...layers.areas,
+        ...layers.volumes,
+        ...layers.spawns,
+        ...layers.markers,
+        ...layers.labels,
+        '</svg>',
+        '',
+    ].join('\n');
+}
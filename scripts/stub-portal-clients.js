@@ -0,0 +1,82 @@
+// A stand-in for the `@bf6mods/portal` Clients API, for running deploy and rollback without touching Portal (see
+// `loadClients` in portal-client.js). `PORTAL_STUB_SCENARIO` picks how it behaves:
+//
+//   ok              Every request succeeds (the default).
+//   flaky           The first two attempts to fetch or update the experience fail with a 503, then they succeed.
+//   timeout         Fetching the experience never answers, so every attempt times out.
+//   update-timeout  Updating the experience never answers (fetching works).
+//   expired         Authentication fails with a 401, as with an expired session.
+
+import { Buffer } from 'node:buffer';
+
+export const STUB_SCENARIOS = ['ok', 'flaky', 'timeout', 'update-timeout', 'expired'];
+
+// How many attempts of each request fail in the `flaky` scenario.
+const FLAKY_FAILURES = 2;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const neverSettles = () => new Promise(() => {});
+
+const createAttachment = (attachmentType, filename, text) => ({
+    attachmentType,
+    filename,
+    attachmentData: { original: Buffer.from(text).toString('base64') },
+});
+
+export class Clients {
+    constructor() {
+        this.scenario = process.env.PORTAL_STUB_SCENARIO || 'ok';
+
+        if (!STUB_SCENARIOS.includes(this.scenario)) {
+            throw new Error(`Unknown PORTAL_STUB_SCENARIO "${this.scenario}" (expected ${STUB_SCENARIOS.join(', ')}).`);
+        }
+
+        // Attempts of each request so far, by method name.
+        this.attempts = {};
+
+        this.play = {
+            getPlayElement: (request) =>
+                this._respond('getPlayElement', this.scenario === 'timeout', () => this._getPlayElement(request)),
+            updatePlayElement: (request) =>
+                this._respond('updatePlayElement', this.scenario === 'update-timeout', () =>
+                    this._updatePlayElement(request)
+                ),
+        };
+    }
+
+    // Each authentication attempt creates new Clients, so only the expired scenario affects it.
+    async authenticate() {
+        if (this.scenario === 'expired') throw httpError(401, 'Unauthorized');
+
+        return this;
+    }
+
+    async _respond(method, hangs, respond) {
+        this.attempts[method] = (this.attempts[method] ?? 0) + 1;
+
+        if (hangs) return neverSettles();
+
+        if (this.scenario === 'flaky' && this.attempts[method] <= FLAKY_FAILURES) {
+            throw httpError(503, `Service Unavailable (stub, attempt ${this.attempts[method]})`);
+        }
+
+        return respond();
+    }
+
+    _getPlayElement({ id }) {
+        return {
+            playElement: { id, name: 'Stub Experience', description: 'Served by scripts/stub-portal-clients.js' },
+            playElementDesign: {
+                attachments: [
+                    createAttachment(2, 'bundle.ts', '// stub script\n'),
+                    createAttachment(4, 'bundle.strings.json', '{}'),
+                ],
+            },
+        };
+    }
+
+    _updatePlayElement(request) {
+        return { playElement: { id: request.id, name: request.name }, playElementDesign: { attachments: [] } };
+    }
+}
@@ -0,0 +1,326 @@
+// Pre-deploy checks for the built bundle and strings. Used by validate.js (CLI) and deploy.js.
+
+import { Buffer } from 'node:buffer';
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Portal does not document its upload limits. These defaults are conservative and can be overridden with a
+// `portalLimits` block in package.json (`{ "scriptBytes": ..., "stringsBytes": ... }`).
+export const DEFAULT_PORTAL_LIMITS = {
+    scriptBytes: 2 * 1024 * 1024,
+    stringsBytes: 512 * 1024,
+};
+
+const STRINGKEYS_PATTERN = /mod\.stringkeys((?:\s*\.\s*[A-Za-z_$][\w$]*|\s*\[\s*(?:'[^']*'|"[^"]*"|[^\]'"]*)\s*\])*)/y;
+
+const SEGMENT_PATTERN = /\.\s*([A-Za-z_$][\w$]*)|\[\s*(?:'([^']*)'|"([^"]*)"|([^\]]*))\s*\]/g;
+
+/**
+ * Parse the accessor chain after `mod.stringkeys` into `{ path, dynamic }`. Access with a computed key (e.g.
+ * `maps[map]`) stops the path there and marks it dynamic, meaning any key under that path may be used.
+ */
+const parseStringKeyPath = (accessors) => {
+    const keys = [];
+
+    for (const match of accessors.matchAll(SEGMENT_PATTERN)) {
+        const key = match[1] ?? match[2] ?? match[3];
+
+        if (key === undefined) return { path: keys, dynamic: true };
+
+        keys.push(key);
+    }
+
+    return { path: keys, dynamic: false };
+};
+
+const resolvePath = (strings, keys) => {
+    let node = strings;
+
+    for (const key of keys) {
+        if (node === null || typeof node !== 'object' || !Object.hasOwn(node, key)) return undefined;
+
+        node = node[key];
+    }
+
+    return node;
+};
+
+const collectLeafPaths = (node, prefix = [], leaves = []) => {
+    if (node === null || typeof node !== 'object') {
+        leaves.push(prefix);
+        return leaves;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+        collectLeafPaths(value, [...prefix, key], leaves);
+    }
+
+    return leaves;
+};
+
+const countPlaceholders = (value) => (String(value).match(/\{\}/g) ?? []).length;
+
+const lineAt = (text, index) => text.slice(0, index).split('\n').length;
+
+const formatKeyPath = (keys) => ['mod.stringkeys', ...keys].join('.');
+
+/**
+ * Blank out comments and the contents of string and template literals (keeping `${...}` expressions), so that code
+ * matches can be searched for in the result. Offsets and line breaks are kept, so indexes map back to `text`.
+ */
+export const maskCommentsAndStrings = (text) => {
+    const masked = text.split('');
+    const stack = [];
+
+    const blank = (from, to) => {
+        for (let j = from; j < to && j < text.length; ++j) {
+            if (masked[j] !== '\n') masked[j] = ' ';
+        }
+    };
+
+    for (let i = 0; i < text.length; ++i) {
+        const char = text[i];
+
+        if (stack[stack.length - 1] === '`') {
+            if (char === '`') {
+                stack.pop();
+            } else if (char === '$' && text[i + 1] === '{') {
+                stack.push('${');
+                ++i;
+            } else {
+                blank(i, char === '\\' ? i + 2 : i + 1);
+                if (char === '\\') ++i;
+            }
+
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            let end = i + 1;
+
+            for (; end < text.length && text[end] !== char && text[end] !== '\n'; ++end) {
+                if (text[end] === '\\') ++end;
+            }
+
+            blank(i + 1, end);
+            i = end;
+        } else if (char === '`') {
+            stack.push('`');
+        } else if (char === '/' && text[i + 1] === '/') {
+            const end = text.indexOf('\n', i);
+
+            blank(i, end === -1 ? text.length : end);
+            i = end === -1 ? text.length : end;
+        } else if (char === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+
+            blank(i, end === -1 ? text.length : end + 2);
+            i = end === -1 ? text.length : end + 1;
+        } else if (char === '{') {
+            stack.push('{');
+        } else if (char === '}') {
+            // Closing a `${` expression returns to the template literal around it.
+            stack.pop();
+        }
+    }
+
+    return masked.join('');
+};
+
+/**
+ * Split the arguments of the call whose opening parenthesis is at `openIndex`, respecting nested brackets, strings,
+ * template literals and comments. Returns undefined if the call is not closed.
+ */
+export const splitCallArguments = (text, openIndex) => {
+    const args = [];
+    const stack = [];
+    let start = openIndex + 1;
+    let depth = 0;
+
+    for (let i = openIndex + 1; i < text.length; ++i) {
+        const char = text[i];
+        const inTemplate = stack[stack.length - 1] === '`';
+
+        if (inTemplate) {
+            if (char === '\\') {
+                ++i;
+            } else if (char === '`') {
+                stack.pop();
+            } else if (char === '$' && text[i + 1] === '{') {
+                stack.push('${');
+                ++i;
+            }
+
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            for (++i; i < text.length && text[i] !== char; ++i) {
+                if (text[i] === '\\') ++i;
+            }
+        } else if (char === '`') {
+            stack.push('`');
+        } else if (char === '/' && text[i + 1] === '/') {
+            i = text.indexOf('\n', i);
+            if (i === -1) return undefined;
+        } else if (char === '/' && text[i + 1] === '*') {
+            i = text.indexOf('*/', i + 2) + 1;
+            if (i === 0) return undefined;
+        } else if (char === '{' && stack[stack.length - 1] === '${') {
+            ++depth;
+        } else if (char === '}' && stack[stack.length - 1] === '${') {
+            if (depth === 0) stack.pop();
+            else --depth;
+        } else if (char === '(' || char === '[' || char === '{') {
+            stack.push(char);
+        } else if (char === ')' || char === ']' || char === '}') {
+            if (stack.length === 0) {
+                const last = text.slice(start, i).trim();
+
+                if (last || args.length) args.push(last);
+
+                return { args, end: i };
+            }
+
+            stack.pop();
+        } else if (char === ',' && stack.length === 0) {
+            args.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+
+    return undefined;
+};
+
+/**
+ * Validate a built bundle and its strings file. Returns `{ errors, warnings }`, each a list of
+ * `{ check, message, line? }` entries (line numbers are in the bundle).
+ * @param {object} options
+ * @param {string} options.scriptPath - Path to the bundled script (e.g. dist/bundle.ts).
+ * @param {string} options.stringsPath - Path to the bundled strings (e.g. dist/bundle.strings.json).
+ * @param {{ scriptBytes?: number, stringsBytes?: number }} [options.limits] - Overrides for the size limits.
+ */
+export const validateBundle = ({ scriptPath, stringsPath, limits = {} }) => {
+    const errors = [];
+    const warnings = [];
+
+    const script = fs.readFileSync(scriptPath, 'utf8');
+    const stringsText = fs.readFileSync(stringsPath, 'utf8');
+
+    let strings;
+
+    try {
+        strings = JSON.parse(stringsText);
+    } catch (err) {
+        errors.push({ check: 'strings', message: `${path.basename(stringsPath)} is not valid JSON: ${err.message}` });
+        return { errors, warnings };
+    }
+
+    // String keys must exist, and every string should be used somewhere.
+    const usedPaths = [];
+    const reportedMissing = new Set();
+
+    // Only code counts: keys mentioned in comments (e.g. doc examples) or inside strings are not uses.
+    const code = maskCommentsAndStrings(script);
+
+    for (const { index } of code.matchAll(/\bmod\.stringkeys\b/g)) {
+        // Match the accessor chain in the original text, since bracket access (e.g. `maps['Area 22B']`) uses strings.
+        STRINGKEYS_PATTERN.lastIndex = index;
+
+        const match = STRINGKEYS_PATTERN.exec(script);
+        const { path: keys } = parseStringKeyPath(match[1]);
+        const formatted = formatKeyPath(keys);
+
+        // A dynamic access (e.g. `maps[map]`) uses everything under its path, so only the static prefix matters.
+        usedPaths.push(keys);
+
+        if (resolvePath(strings, keys) !== undefined || reportedMissing.has(formatted)) continue;
+
+        reportedMissing.add(formatted);
+        errors.push({
+            check: 'stringkeys',
+            message: `${formatted} is not defined in ${path.basename(stringsPath)}`,
+            line: lineAt(script, match.index),
+        });
+    }
+
+    for (const leaf of collectLeafPaths(strings)) {
+        const isUsed = usedPaths.some(
+            (keys) => keys.length <= leaf.length && keys.every((key, index) => key === leaf[index])
+        );
+
+        if (!isUsed) warnings.push({ check: 'unused', message: `${formatKeyPath(leaf)} is never used` });
+    }
+
+    // Strings with `{}` placeholders need exactly that many arguments at each `mod.Message` call.
+    for (const match of code.matchAll(/\bmod\.Message\s*\(/g)) {
+        const call = splitCallArguments(script, match.index + match[0].length - 1);
+
+        if (!call || call.args.length === 0) continue;
+
+        const keyMatch = call.args[0].match(/^mod\.stringkeys(.*)$/s);
+
+        if (!keyMatch) continue;
+
+        const { path: keys, dynamic } = parseStringKeyPath(keyMatch[1]);
+        const value = resolvePath(strings, keys);
+
+        if (dynamic || typeof value !== 'string') continue;
+
+        const expected = countPlaceholders(value);
+        const actual = call.args.length - 1;
+
+        if (expected === actual) continue;
+
+        errors.push({
+            check: 'placeholders',
+            message: `${formatKeyPath(keys)} ("${value}") has ${expected} placeholder(s) but mod.Message passes ${actual} argument(s)`,
+            line: lineAt(script, match.index),
+        });
+    }
+
+    // Size limits apply to what is uploaded (deploy minifies the strings JSON).
+    const scriptBytes = Buffer.byteLength(script, 'utf8');
+    const stringsBytes = Buffer.byteLength(JSON.stringify(strings), 'utf8');
+    const maxScriptBytes = limits.scriptBytes ?? DEFAULT_PORTAL_LIMITS.scriptBytes;
+    const maxStringsBytes = limits.stringsBytes ?? DEFAULT_PORTAL_LIMITS.stringsBytes;
+
+    if (scriptBytes > maxScriptBytes) {
+        errors.push({
+            check: 'size',
+            message: `${path.basename(scriptPath)} is ${scriptBytes.toLocaleString()} bytes (limit ${maxScriptBytes.toLocaleString()})`,
+        });
+    }
+
+    if (stringsBytes > maxStringsBytes) {
+        errors.push({
+            check: 'size',
+            message: `${path.basename(stringsPath)} is ${stringsBytes.toLocaleString()} bytes (limit ${maxStringsBytes.toLocaleString()})`,
+        });
+    }
+
+    return { errors, warnings, sizes: { scriptBytes, stringsBytes } };
+};
+
+/** Print a validation result. With `strict`, warnings are reported as failures too. */
+export const printValidationReport = ({ errors, warnings }, { scriptPath, strict = false } = {}) => {
+    const failures = strict ? [...errors, ...warnings] : errors;
+    const notes = strict ? [] : warnings;
+
+    const print = (prefix, { check, message, line }) => {
+        const location = line === undefined ? '' : `${scriptPath}:${line}: `;
+
+        console.log(`  ${prefix} [${check}] ${location}${message}`);
+    };
+
+    for (const entry of failures) print('✗', entry);
+    for (const entry of notes) print('!', entry);
+
+    if (failures.length === 0) {
+        console.log(`  ✓ Validation passed${notes.length ? ` with ${notes.length} warning(s)` : ''}.`);
+    } else {
+        console.log(`  ✗ Validation failed with ${failures.length} problem(s).`);
+    }
+
+    return failures.length === 0;
+};
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { test } from 'node:test';
+
+import { validateBundle } from './validate-core.js';
+
+const validate = (script, strings) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-core-'));
+    const scriptPath = path.join(dir, 'bundle.ts');
+    const stringsPath = path.join(dir, 'bundle.strings.json');
+
+    fs.writeFileSync(scriptPath, script);
+    fs.writeFileSync(stringsPath, JSON.stringify(strings));
+
+    try {
+        return validateBundle({ scriptPath, stringsPath });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+};
+
+test('ignores string keys in comments and string literals', () => {
+    const { errors } = validate(
+        [
+            '/** e.g. `mod.stringkeys.myMod.debug.godMode` */',
+            '// mod.stringkeys.myMod.debug.noClip',
+            "const help = 'use mod.stringkeys.myMod.debug.fly';",
+            'const hint = `see mod.stringkeys.myMod.debug.speed and ${mod.Message(mod.stringkeys.hello)}`;',
+        ].join('\n'),
+        { hello: 'Hello' }
+    );
+
+    assert.deepEqual(errors, []);
+});
+
+test('still reports missing keys in code, including bracket access', () => {
+    const { errors } = validate(
+        ["mod.Message(mod.stringkeys.maps['Area 22B']);", 'mod.Message(mod.stringkeys.missing);'].join('\n'),
+        { maps: { 'Area 22B': 'Area 22B' } }
+    );
+
+    assert.deepEqual(
+        errors.map(({ message, line }) => ({ message, line })),
+        [{ message: 'mod.stringkeys.missing is not defined in bundle.strings.json', line: 2 }]
+    );
+});
+
+test('ignores mod.Message calls in comments when checking placeholders', () => {
+    const { errors } = validate(
+        ['// mod.Message(mod.stringkeys.greeting)', 'mod.Message(mod.stringkeys.greeting, 1);'].join('\n'),
+        {
+            greeting: 'Hello {}',
+        }
+    );
+
+    assert.deepEqual(errors, []);
+});
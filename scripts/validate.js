@@ -0,0 +1,66 @@
+// CLI wrapper around validate-core.js: checks the built bundle and strings before they are uploaded to Portal.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+import { printValidationReport, validateBundle } from './validate-core.js';
+
+const parseArgs = () => {
+    const argv = process.argv.slice(2);
+    let scriptPath = 'dist/bundle.ts';
+    let stringsPath = 'dist/bundle.strings.json';
+    // Strict like deploy by default; `--lenient` reports unused strings as warnings, for checking a work in progress.
+    let strict = true;
+
+    for (let i = 0; i < argv.length; ++i) {
+        if (argv[i] === '--script' && argv[i + 1]) {
+            scriptPath = argv[++i];
+        } else if (argv[i] === '--strings' && argv[i + 1]) {
+            stringsPath = argv[++i];
+        } else if (argv[i] === '--lenient') {
+            strict = false;
+        }
+    }
+
+    return { scriptPath, stringsPath, strict };
+};
+
+// Only `portalLimits` is read from package.json, so without one the default limits apply.
+const readPortalLimits = () => {
+    const packageJsonPath = path.join(process.cwd(), 'package.json');
+
+    if (!fs.existsSync(packageJsonPath)) return undefined;
+
+    try {
+        return JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')).portalLimits;
+    } catch (err) {
+        console.error(`  Error: Could not read ${packageJsonPath}: ${err.message}`);
+        process.exit(1);
+    }
+};
+
+const { scriptPath, stringsPath, strict } = parseArgs();
+const portalLimits = readPortalLimits();
+
+console.log('');
+console.log('  Validate');
+console.log('  ─────────────────────────────────────────');
+console.log('  Script:     ', scriptPath);
+console.log('  Strings:    ', stringsPath);
+console.log('  Mode:       ', strict ? 'strict (as deploy)' : 'lenient (unused strings are warnings)');
+console.log('  ─────────────────────────────────────────');
+console.log('');
+
+let result;
+
+try {
+    result = validateBundle({ scriptPath, stringsPath, limits: portalLimits });
+} catch (err) {
+    console.error(`  Error: ${err.message}`);
+    process.exit(1);
+}
+
+const passed = printValidationReport(result, { scriptPath, strict });
+
+console.log('');
+process.exit(passed ? 0 : 1);
@@ -0,0 +1,216 @@
+// Version numbering, changelog entries and deploy tags. Used by deploy.js.
+
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+
+// Overridable with a `versionPolicy` block in package.json. Set `changelog` to false to skip the changelog, its commit and the tag.
+export const DEFAULT_VERSION_POLICY = {
+    blacklist: ['911', '69', '420', '88', '666'],
+    nameTemplate: undefined,
+    changelog: 'CHANGELOG.md',
+    tagPrefix: 'deploy-v',
+};
+
+export const VERSION_BUMPS = ['patch', 'minor', 'major'];
+
+const VERSION_PATTERN = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+
+/** The package.json `versionPolicy` merged over the defaults. Throws if a field has the wrong type. */
+export const resolveVersionPolicy = (versionPolicy = {}) => {
+    const unknownKeys = Object.keys(versionPolicy).filter((key) => !Object.hasOwn(DEFAULT_VERSION_POLICY, key));
+
+    if (unknownKeys.length > 0) {
+        throw new Error(
+            `Unknown versionPolicy field(s): ${unknownKeys.join(', ')}. Expected: ${Object.keys(DEFAULT_VERSION_POLICY).join(', ')}.`
+        );
+    }
+
+    const policy = { ...DEFAULT_VERSION_POLICY, ...versionPolicy };
+
+    if (!Array.isArray(policy.blacklist) || !policy.blacklist.every((s) => typeof s === 'string')) {
+        throw new Error('versionPolicy.blacklist must be an array of strings.');
+    }
+
+    if (policy.changelog !== false && typeof policy.changelog !== 'string') {
+        throw new Error('versionPolicy.changelog must be a file path or false.');
+    }
+
+    return policy;
+};
+
+/**
+ * Parse `major.minor.patch[-prerelease]` into `{ major, minor, patch, prerelease }`, where `prerelease` is a list of
+ * identifiers (numeric ones as numbers). Returns undefined if the version is not in that form.
+ */
+export const parseVersion = (version) => {
+    const match = VERSION_PATTERN.exec(String(version).trim());
+
+    if (!match) return undefined;
+
+    return {
+        major: Number(match[1]),
+        minor: Number(match[2]),
+        patch: Number(match[3]),
+        prerelease: match[4] ? match[4].split('.').map((id) => (/^\d+$/.test(id) ? Number(id) : id)) : [],
+    };
+};
+
+// package.json versions written by hand may be incomplete (e.g. `1.2`), which the old bump logic accepted.
+const parseLooseVersion = (version) => {
+    const [major = 0, minor = 0, patch = 0] = String(version)
+        .split('-')[0]
+        .split('.')
+        .map((s) => parseInt(s, 10) || 0);
+
+    return { major, minor, patch, prerelease: [] };
+};
+
+/** True if the version string (with dots removed) contains any blacklisted substring. */
+export const isVersionBlacklisted = (version, blacklist = DEFAULT_VERSION_POLICY.blacklist) => {
+    const withoutDots = version.replace(/\./g, '');
+    return blacklist.some((s) => withoutDots.includes(s));
+};
+
+/**
+ * The next version after `version`, skipping blacklisted versions.
+ *
+ * The bump is applied first. A pre-release is released as the version it leads up to (`1.2.0-beta.3` with a minor bump
+ * becomes `1.2.0`); anything else is bumped (`1.1.4` with a minor bump becomes `1.2.0`, and `1.2.0-beta.3` with a major
+ * bump becomes `2.0.0`). With `preid`, the result is a pre-release of that version: numbered on from the current one if
+ * the bump kept it on the same version and identifier (`1.2.0-beta.2` becomes `1.2.0-beta.3`), and from 0 otherwise
+ * (`1.2.0-alpha.1` becomes `1.2.0-beta.0`, `1.2.0-beta.2` with a major bump becomes `2.0.0-beta.0`).
+ *
+ * Throws if `preid` would move a pre-release back to a lower-precedence one, e.g. from `1.2.0-rc.1` to `1.2.0-beta.0`.
+ * @param {string} version - Current version.
+ * @param {'patch' | 'minor' | 'major'} versionBump - Which part to bump.
+ * @param {object} [options]
+ * @param {string[]} [options.blacklist] - Substrings a version must not contain (see `isVersionBlacklisted`).
+ * @param {string} [options.preid] - Pre-release identifier, e.g. `beta` or `dev`.
+ */
+export const bumpVersion = (version, versionBump, { blacklist = DEFAULT_VERSION_POLICY.blacklist, preid } = {}) => {
+    if (!VERSION_BUMPS.includes(versionBump)) return version;
+
+    const current = parseVersion(version) ?? parseLooseVersion(version);
+    const [currentId, currentNumber] = current.prerelease;
+    let { major, minor, patch } = current;
+
+    const formatBase = () => `${major}.${minor}.${patch}`;
+
+    const step = () => {
+        if (versionBump === 'patch') {
+            patch += 1;
+        } else if (versionBump === 'minor') {
+            minor += 1;
+            patch = 0;
+        } else {
+            major += 1;
+            minor = 0;
+            patch = 0;
+        }
+    };
+
+    const leadsUpToBump =
+        versionBump === 'patch' ||
+        (versionBump === 'minor' && patch === 0) ||
+        (versionBump === 'major' && minor === 0 && patch === 0);
+
+    if (current.prerelease.length === 0 || !leadsUpToBump) step();
+
+    while (isVersionBlacklisted(formatBase(), blacklist)) step();
+
+    if (!preid) return formatBase();
+
+    let number = 0;
+
+    if (current.prerelease.length > 0 && formatBase() === `${current.major}.${current.minor}.${current.patch}`) {
+        if (currentId === preid && Number.isInteger(currentNumber)) {
+            number = currentNumber + 1;
+        } else if (typeof currentId === 'string' && currentId > preid) {
+            // Identifiers compare in ASCII order (and numeric ones sort first), as in semver.
+            throw new Error(
+                `Cannot go from ${version} to a "${preid}" pre-release of ${formatBase()}: "${preid}" sorts before "${currentId}".`
+            );
+        }
+    }
+
+    while (isVersionBlacklisted(`${formatBase()}-${preid}.${number}`, blacklist)) ++number;
+
+    return `${formatBase()}-${preid}.${number}`;
+};
+
+const git = (args) => {
+    try {
+        return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+    } catch (err) {
+        throw new Error(err.stderr?.trim().replace(/^fatal: /, '') || err.message, { cause: err });
+    }
+};
+
+/** The most recent tag starting with `tagPrefix` that is reachable from HEAD, or undefined if there is none. */
+export const findLastDeployTag = (tagPrefix) => {
+    try {
+        return git(['describe', '--tags', '--abbrev=0', '--match', `${tagPrefix}*`, 'HEAD']);
+    } catch {
+        return undefined;
+    }
+};
+
+/** Non-merge commits after `sinceTag` (or all commits if it is undefined), newest first, as `{ hash, subject }`. */
+export const listCommitsSince = (sinceTag) => {
+    const output = git(['log', '--no-merges', '--pretty=format:%h%x09%s', ...(sinceTag ? [`${sinceTag}..HEAD`] : [])]);
+
+    return output
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => {
+            const [hash, ...subject] = line.split('\t');
+            return { hash, subject: subject.join('\t') };
+        });
+};
+
+/** A Markdown changelog entry for one deploy. */
+export const formatChangelogEntry = ({ version, date, target, commits, sinceTag }) => {
+    const heading = `## ${version} (${date}${target ? `, ${target}` : ''})`;
+    const lines = commits.map(({ hash, subject }) => `- ${subject} (${hash})`);
+
+    if (lines.length === 0) lines.push(sinceTag ? `- No changes since ${sinceTag}.` : '- Initial deploy.');
+
+    return `${heading}\n\n${lines.join('\n')}\n`;
+};
+
+/** Insert the entry above the previous ones (below the file's `# ` title), creating the file if needed. */
+export const prependChangelogEntry = (changelogPath, entry) => {
+    const existing = fs.existsSync(changelogPath) ? fs.readFileSync(changelogPath, 'utf8') : '# Changelog\n';
+    const firstEntry = existing.search(/^## /m);
+
+    const updated =
+        firstEntry === -1
+            ? `${existing.trimEnd()}\n\n${entry}`
+            : `${existing.slice(0, firstEntry)}${entry}\n${existing.slice(firstEntry)}`;
+
+    fs.writeFileSync(changelogPath, updated);
+};
+
+/** True if the tag exists. */
+export const deployTagExists = (tag) => {
+    try {
+        git(['rev-parse', '--quiet', '--verify', `refs/tags/${tag}`]);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Commit just these files (staged or not), leaving anything else that is staged alone. Throws if the commit fails,
+ * e.g. because a hook rejected it or this is not a git repository.
+ */
+export const commitDeployFiles = (paths, message) => {
+    git(['add', '--', ...paths]);
+    git(['commit', '--quiet', '-m', message, '--', ...paths]);
+};
+
+/** Create a lightweight tag on HEAD. Throws if the tag already exists or this is not a git repository. */
+export const createDeployTag = (tag) => {
+    git(['tag', tag, 'HEAD']);
+};
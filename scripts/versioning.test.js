@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { bumpVersion } from './versioning.js';
+
+// No blacklist unless a test is about it, so the expected versions are easy to read.
+const bump = (version, versionBump, options = {}) => bumpVersion(version, versionBump, { blacklist: [], ...options });
+
+test('bumps releases', () => {
+    assert.equal(bump('1.2.3', 'patch'), '1.2.4');
+    assert.equal(bump('1.2.3', 'minor'), '1.3.0');
+    assert.equal(bump('1.2.3', 'major'), '2.0.0');
+});
+
+test('releases a pre-release as the version it leads up to, or bumps past it', () => {
+    assert.equal(bump('1.2.0-beta.3', 'patch'), '1.2.0');
+    assert.equal(bump('1.2.0-beta.3', 'minor'), '1.2.0');
+    assert.equal(bump('1.2.0-beta.3', 'major'), '2.0.0');
+    assert.equal(bump('2.0.0-rc.1', 'major'), '2.0.0');
+    assert.equal(bump('1.2.3-beta.0', 'minor'), '1.3.0');
+});
+
+test('starts a pre-release of the bumped version', () => {
+    assert.equal(bump('1.2.3', 'patch', { preid: 'beta' }), '1.2.4-beta.0');
+    assert.equal(bump('1.2.3', 'minor', { preid: 'beta' }), '1.3.0-beta.0');
+    assert.equal(bump('1.2.3', 'major', { preid: 'beta' }), '2.0.0-beta.0');
+});
+
+test('numbers on from a pre-release with the same identifier unless the bump moves past it', () => {
+    assert.equal(bump('1.2.0-beta.2', 'patch', { preid: 'beta' }), '1.2.0-beta.3');
+    assert.equal(bump('1.2.0-beta.2', 'minor', { preid: 'beta' }), '1.2.0-beta.3');
+    assert.equal(bump('1.2.0-beta.2', 'major', { preid: 'beta' }), '2.0.0-beta.0');
+    assert.equal(bump('1.2.3-beta.2', 'minor', { preid: 'beta' }), '1.3.0-beta.0');
+});
+
+test('moves on to a higher-precedence identifier from 0', () => {
+    assert.equal(bump('1.2.0-alpha.4', 'patch', { preid: 'beta' }), '1.2.0-beta.0');
+    assert.equal(bump('1.2.0-beta.2', 'patch', { preid: 'rc' }), '1.2.0-rc.0');
+    assert.equal(bump('1.2.0-beta', 'patch', { preid: 'beta' }), '1.2.0-beta.0');
+});
+
+test('refuses to go back to a lower-precedence identifier', () => {
+    assert.throws(() => bump('1.2.0-rc.1', 'patch', { preid: 'beta' }), /"beta" sorts before "rc"/);
+    assert.throws(() => bump('1.2.0-rc.1', 'minor', { preid: 'dev' }), /"dev" sorts before "rc"/);
+
+    // A bump past the pre-release starts over, so any identifier is fine.
+    assert.equal(bump('1.2.0-rc.1', 'major', { preid: 'beta' }), '2.0.0-beta.0');
+});
+
+test('skips blacklisted releases and pre-release numbers', () => {
+    const blacklist = ['69', '420'];
+
+    assert.equal(bump('1.6.8', 'patch', { blacklist }), '1.6.10');
+    assert.equal(bump('4.1.9', 'minor', { blacklist }), '4.3.0');
+    assert.equal(bump('1.6.8', 'patch', { blacklist, preid: 'beta' }), '1.6.10-beta.0');
+    assert.equal(bump('1.2.0-beta.68', 'patch', { blacklist, preid: 'beta' }), '1.2.0-beta.70');
+    assert.equal(bump('1.6.9-beta.1', 'patch', { blacklist, preid: 'beta' }), '1.6.10-beta.0');
+});
+
+test('returns the version unchanged for an unknown bump', () => {
+    assert.equal(bump('1.2.3', 'none'), '1.2.3');
+});
@@ -3,50 +3,24 @@ import { MultiClickDetector } from 'bf6-portal-utils/multi-click-detector/index.
 import { MapDetector } from 'bf6-portal-utils/map-detector/index.ts';
 
 import { DebugTool } from './debug-tool/index.ts';
+import { AdminRegistry } from './debug-tool/admin-registry.ts';
 
-let adminDebugTool: DebugTool | undefined;
-
-function createAdminDebugTool(player: mod.Player): void {
-    // The admin player is player id 0 for non-persistent test servers,
-    // so don't do the rest of this unless it's the admin player.
-    if (mod.GetObjId(player) != 0) return;
-
-    // Create a debug tool with a static logger visible by default.
-    const debugToolOptions: DebugTool.Options = {
-        staticLogger: {
-            visible: true,
-        },
-        dynamicLogger: {
-            visible: false,
-        },
-        debugMenu: {
-            visible: false,
-        },
-    };
-
-    adminDebugTool = new DebugTool(player, debugToolOptions);
-
+function setUpAdmin(player: mod.Player, debugTool: DebugTool): () => void {
     // Create a multi-click detector to open the debug menu when the player triple-clicks the interact key.
-    new MultiClickDetector(player, () => {
-        adminDebugTool?.showDebugMenu();
+    const multiClickDetector = new MultiClickDetector(player, () => {
+        debugTool.showDebugMenu();
     });
 
     // Log a message to the static logger.
-    adminDebugTool?.staticLog(`Triple-click interact key to open debug menu.`, 0);
-}
-
-function destroyAdminDebugTool(playerId: number): void {
-    // If the player is not the admin player, then we know the admin is still in the game, so we can exit this function.
-    if (playerId !== 0) return;
+    debugTool.staticLog(`Triple-click interact key to open debug menu.`, 0);
 
-    // Destroy the debug tool.
-    adminDebugTool?.destroy();
-    adminDebugTool = undefined;
+    // Called when the admin leaves or loses the debug tool, before it is destroyed.
+    return () => multiClickDetector.destroy();
 }
 
 function handlePlayerDeployed(player: mod.Player): void {
     // Log a message to the dynamic logger that the player has deployed.
-    adminDebugTool?.dynamicLog(`Player ${mod.GetObjId(player)} deployed.`);
+    admins.dynamicLog(`Player ${mod.GetObjId(player)} deployed.`);
 
     // Get the current map (Can be undefined if the map cannot be determined).
     const map = MapDetector.currentMap();
@@ -61,9 +35,23 @@ function handlePlayerDeployed(player: mod.Player): void {
     }
 }
 
-// Event subscriptions for the admin debug tool.
-Events.OnPlayerJoinGame.subscribe(createAdminDebugTool);
-Events.OnPlayerLeaveGame.subscribe(destroyAdminDebugTool);
+// Gives the debug tool to player 0 (the host of a non-persistent test server) and hands it over to the player who has
+// been in the game longest when the admin leaves. Pass a `rule` to pick admins by ObjId, name or team instead.
+const admins = new AdminRegistry({
+    // Create each admin's debug tool with a static logger visible by default.
+    debugTool: {
+        staticLogger: {
+            visible: true,
+        },
+        dynamicLogger: {
+            visible: false,
+        },
+        debugMenu: {
+            visible: false,
+        },
+    },
+    onGrant: setUpAdmin,
+});
 
 // Event subscriptions for notifying players of their name and the current map.
 Events.OnPlayerDeployed.subscribe(handlePlayerDeployed);
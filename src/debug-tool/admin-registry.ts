@@ -0,0 +1,184 @@
+import { Events } from 'bf6-portal-utils/events/index.ts';
+
+import { DebugTool } from './index.ts';
+import { equals } from '../helpers/index.ts';
+
+// Grants the debug tool to the players an `AdminRegistry.Rule` matches, with one `DebugTool` per admin. Subscribes to
+// the join, leave and team switch events itself, so create the registry once, at module load time.
+export class AdminRegistry {
+    public constructor(options?: AdminRegistry.Options) {
+        this._rule = options?.rule ?? { playerIds: [0] };
+        this._handOver = options?.handOver ?? true;
+        this._debugToolOptions = options?.debugTool;
+        this._onGrant = options?.onGrant;
+
+        Events.OnPlayerJoinGame.subscribe((player) => this._handlePlayerJoinGame(player));
+        Events.OnPlayerLeaveGame.subscribe((playerId) => this._handlePlayerLeaveGame(playerId));
+        Events.OnPlayerSwitchTeam.subscribe((player, team) => this._handlePlayerSwitchTeam(player, team));
+    }
+
+    private _rule: AdminRegistry.Rule;
+
+    private _handOver: boolean;
+
+    private _debugToolOptions: DebugTool.Options | undefined;
+
+    private _onGrant: AdminRegistry.Options['onGrant'];
+
+    // Players in the game by ObjId, in the order they joined (the first is the next in line for a hand over).
+    private _players = new Map<number, mod.Player>();
+
+    private _admins = new Map<number, AdminRegistry.Admin>();
+
+    // Cleanup functions returned by `onGrant`, by ObjId.
+    private _cleanups = new Map<number, () => void>();
+
+    /** Whether the player currently has the debug tool. */
+    public isAdmin(player: mod.Player): boolean {
+        return this._admins.has(mod.GetObjId(player));
+    }
+
+    /** The player's debug tool, if they are an admin. */
+    public getDebugTool(player: mod.Player): DebugTool | undefined {
+        return this._admins.get(mod.GetObjId(player))?.debugTool;
+    }
+
+    /** Every current admin, in the order they were granted the debug tool. */
+    public getAdmins(): AdminRegistry.Admin[] {
+        return [...this._admins.values()];
+    }
+
+    /** Log to every admin's dynamic logger. */
+    public dynamicLog(text: string): void {
+        for (const { debugTool } of this._admins.values()) debugTool.dynamicLog(text);
+    }
+
+    /** Log to the given row of every admin's static logger. */
+    public staticLog(text: string, row: number): void {
+        for (const { debugTool } of this._admins.values()) debugTool.staticLog(text, row);
+    }
+
+    /** Grant the debug tool to a player the rule does not match (e.g. from a chat command or another admin's menu). */
+    public grant(player: mod.Player): void {
+        this._grant(player, false);
+    }
+
+    /** Take the debug tool away from a player, destroying it. */
+    public revoke(player: mod.Player): void {
+        this._revoke(mod.GetObjId(player));
+    }
+
+    private _matches(player: mod.Player, team: mod.Team): boolean {
+        const rule = this._rule;
+
+        if ('playerIds' in rule) return rule.playerIds.includes(mod.GetObjId(player));
+
+        if ('playerNames' in rule) {
+            const name = rule.getPlayerName(player);
+
+            return name !== undefined && rule.playerNames.includes(name);
+        }
+
+        if ('team' in rule) return equals(team, mod.GetTeam(rule.team));
+
+        return rule.test(player, team);
+    }
+
+    private _grant(player: mod.Player, byRule: boolean): void {
+        const playerId = mod.GetObjId(player);
+
+        if (this._admins.has(playerId)) return;
+
+        const debugTool = new DebugTool(player, this._debugToolOptions);
+        const admin: AdminRegistry.Admin = { player, playerId, debugTool, byRule };
+
+        this._admins.set(playerId, admin);
+
+        const cleanup = this._onGrant?.(player, debugTool);
+
+        if (cleanup) this._cleanups.set(playerId, cleanup);
+    }
+
+    private _revoke(playerId: number): void {
+        const admin = this._admins.get(playerId);
+
+        if (!admin) return;
+
+        this._admins.delete(playerId);
+        this._cleanups.get(playerId)?.();
+        this._cleanups.delete(playerId);
+        admin.debugTool.destroy();
+    }
+
+    private _handlePlayerJoinGame(player: mod.Player): void {
+        this._players.set(mod.GetObjId(player), player);
+
+        if (this._matches(player, mod.GetTeam(player))) this._grant(player, true);
+    }
+
+    private _handlePlayerLeaveGame(playerId: number): void {
+        this._players.delete(playerId);
+
+        if (!this._admins.has(playerId)) return;
+
+        this._revoke(playerId);
+
+        // Hand the debug tool to whoever has been in the game longest, so a server is never left without an admin.
+        if (!this._handOver || this._admins.size > 0) return;
+
+        const [successor] = this._players.values();
+
+        if (successor) this._grant(successor, false);
+    }
+
+    // Team and custom rules can start or stop matching when a player switches teams.
+    private _handlePlayerSwitchTeam(player: mod.Player, team: mod.Team): void {
+        const playerId = mod.GetObjId(player);
+
+        if (this._matches(player, team)) {
+            this._grant(player, true);
+        } else if (this._admins.get(playerId)?.byRule) {
+            // Only admins the rule granted lose the tool; handed over and manually granted ones keep it.
+            this._revoke(playerId);
+        }
+    }
+}
+
+export namespace AdminRegistry {
+    /**
+     * Who gets the debug tool:
+     * - `playerIds`: players with these ObjIds. Player 0 is the host of a non-persistent test server.
+     * - `playerNames`: players with these names. Portal does not give scripts player names as strings, so
+     *   `getPlayerName` has to provide them (e.g. from a lookup of the ObjIds on your persistent server).
+     * - `team`: every player on this team number (as passed to `mod.GetTeam`), granted and revoked as they switch
+     *   teams.
+     * - `test`: any other check.
+     */
+    export type Rule =
+        | { playerIds: number[] }
+        | { playerNames: string[]; getPlayerName: (player: mod.Player) => string | undefined }
+        | { team: number }
+        | { test: (player: mod.Player, team: mod.Team) => boolean };
+
+    export interface Options {
+        /** Defaults to `{ playerIds: [0] }`. */
+        rule?: Rule;
+        /** When the last admin leaves, give the debug tool to the player who has been in the game longest. Default true. */
+        handOver?: boolean;
+        /** Options for each admin's `DebugTool`. */
+        debugTool?: DebugTool.Options;
+        /**
+         * Called with each new admin and their debug tool, to add menu buttons and the like. Return a function to undo
+         * anything per-player (intervals, detectors); it is called when the admin leaves or loses the tool.
+         */
+        onGrant?: (player: mod.Player, debugTool: DebugTool) => (() => void) | void;
+    }
+
+    export interface Admin {
+        player: mod.Player;
+        playerId: number;
+        debugTool: DebugTool;
+        /** Whether the rule granted the tool, rather than a hand over or `grant`. */
+        byRule: boolean;
+    }
+}
@@ -0,0 +1,186 @@
+import type { DebugMenu } from './debug-menu.ts';
+
+const LEVEL_TAGS = ['TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR'];
+
+interface Entry {
+    level: DebugLog.Level;
+    channel: string | undefined;
+    text: string;
+}
+
+// Leveled, channeled logging on top of a dynamic logger. Entries are tagged with their level, and the sink gets the level
+// too, so it can color entries by level (a logger draws all its text in one color, so `DebugTool` writes warnings and
+// errors to a second one). Every entry goes into a ring buffer, so entries logged while the logger is hidden are written
+// when it is shown again, and the buffer can be replayed with different filters.
+export class DebugLog {
+    public constructor(sink: DebugLog.Sink, menu: DebugMenu.Menu, options?: DebugLog.Options) {
+        this._sink = sink;
+        this._menu = menu;
+        this._capacity = options?.capacity ?? 200;
+        this._level = options?.level ?? DebugLog.Level.Debug;
+        this._visible = options?.visible ?? false;
+
+        menu.addPicker(mod.stringkeys.debugTool.log.level, {
+            values: [
+                DebugLog.Level.Trace,
+                DebugLog.Level.Debug,
+                DebugLog.Level.Info,
+                DebugLog.Level.Warn,
+                DebugLog.Level.Error,
+            ],
+            getValue: () => this._level,
+            setValue: (level) => this.setLevel(level),
+            formatValue: (level) =>
+                [
+                    mod.stringkeys.debugTool.log.levels.trace,
+                    mod.stringkeys.debugTool.log.levels.debug,
+                    mod.stringkeys.debugTool.log.levels.info,
+                    mod.stringkeys.debugTool.log.levels.warn,
+                    mod.stringkeys.debugTool.log.levels.error,
+                ][level],
+        });
+
+        menu.addButton(mod.Message(mod.stringkeys.debugTool.log.replay), () => this.replay());
+    }
+
+    private _sink: DebugLog.Sink;
+
+    private _menu: DebugMenu.Menu;
+
+    private _capacity: number;
+
+    private _level: DebugLog.Level;
+
+    private _visible: boolean;
+
+    // Whether each channel is enabled, by name.
+    private _channels = new Map<string, boolean>();
+
+    // The last `_capacity` entries, oldest first, and how many of the newest were logged while the logger was hidden.
+    private _entries: Entry[] = [];
+
+    private _unseen = 0;
+
+    public get visible(): boolean {
+        return this._visible;
+    }
+
+    /**
+     * Get a channel to log to, e.g. `channel('vehicles').warn('No spawner found.')`. Pass a string key as `label` (the
+     * first time) to add a toggle that enables and disables the channel to the debug menu's Log submenu.
+     */
+    public channel(name: string, label?: string): DebugLog.Channel {
+        if (!this._channels.has(name)) {
+            this._channels.set(name, true);
+
+            if (label) {
+                this._menu.addToggle(
+                    label,
+                    () => this.isChannelEnabled(name),
+                    (enabled) => this.setChannelEnabled(name, enabled)
+                );
+            }
+        }
+
+        return {
+            trace: (text) => this.log(DebugLog.Level.Trace, name, text),
+            debug: (text) => this.log(DebugLog.Level.Debug, name, text),
+            info: (text) => this.log(DebugLog.Level.Info, name, text),
+            warn: (text) => this.log(DebugLog.Level.Warn, name, text),
+            error: (text) => this.log(DebugLog.Level.Error, name, text),
+        };
+    }
+
+    public isChannelEnabled(name: string): boolean {
+        return this._channels.get(name) ?? true;
+    }
+
+    /** Disabled channels are still buffered, so their entries show up in a replay once they are enabled again. */
+    public setChannelEnabled(name: string, enabled: boolean): void {
+        this._channels.set(name, enabled);
+    }
+
+    /** Only entries at or above this level are written (defaults to `Debug`). */
+    public setLevel(level: DebugLog.Level): void {
+        this._level = level;
+    }
+
+    /** Log an entry, optionally without a channel (entries without a channel cannot be disabled). */
+    public log(level: DebugLog.Level, channel: string | undefined, text: string): void {
+        const entry: Entry = { level, channel, text };
+
+        this._entries.push(entry);
+
+        if (this._entries.length > this._capacity) this._entries.shift();
+
+        if (this._visible) {
+            this._write(entry);
+        } else {
+            this._unseen = Math.min(this._unseen + 1, this._entries.length);
+        }
+    }
+
+    /** Called when the logger is shown or hidden. Showing it writes the entries logged while it was hidden. */
+    public setVisible(visible: boolean): void {
+        this._visible = visible;
+
+        if (!visible) return;
+
+        const unseen = this._entries.slice(this._entries.length - this._unseen);
+
+        this._unseen = 0;
+
+        for (const entry of unseen) this._write(entry);
+    }
+
+    /** Clear the logger and write the last `count` buffered entries (all by default) that pass the current filters. */
+    public replay(count: number = this._capacity): void {
+        this._sink.clear();
+        this._unseen = 0;
+
+        for (const entry of this._entries.slice(Math.max(0, this._entries.length - count))) this._write(entry);
+    }
+
+    private _write(entry: Entry): void {
+        if (entry.level < this._level) return;
+
+        if (entry.channel !== undefined && !this.isChannelEnabled(entry.channel)) return;
+
+        const channel = entry.channel === undefined ? '' : `[${entry.channel}] `;
+
+        this._sink.write(`${LEVEL_TAGS[entry.level]} ${channel}${entry.text}`, entry.level);
+    }
+}
+
+export namespace DebugLog {
+    export enum Level {
+        Trace,
+        Debug,
+        Info,
+        Warn,
+        Error,
+    }
+
+    export interface Options {
+        /** How many entries to keep for replays. Defaults to 200. */
+        capacity?: number;
+        /** Defaults to `Level.Debug`. */
+        level?: Level;
+        /** Whether the logger starts visible. Defaults to false. */
+        visible?: boolean;
+    }
+
+    /** Where entries are written, e.g. a `DebugTool`'s dynamic loggers. */
+    export interface Sink {
+        write(text: string, level: Level): void;
+        clear(): void;
+    }
+
+    export interface Channel {
+        trace(text: string): void;
+        debug(text: string): void;
+        info(text: string): void;
+        warn(text: string): void;
+        error(text: string): void;
+    }
+}
@@ -0,0 +1,489 @@
+import { UI } from 'bf6-portal-utils/ui/index.ts';
+import { UIContainer } from 'bf6-portal-utils/ui/components/container/index.ts';
+import { UIText } from 'bf6-portal-utils/ui/components/text/index.ts';
+import { UITextButton } from 'bf6-portal-utils/ui/components/text-button/index.ts';
+
+const ROW_HEIGHT = 20;
+
+// Width of the -/+ and </> buttons either side of a stepper's or picker's label.
+const ARROW_WIDTH = 40;
+
+// The bottom two rows hold the previous/next page buttons and the back/close buttons.
+const FOOTER_ROWS = 2;
+
+interface Level {
+    items: Item[];
+    parent: Level | undefined;
+    page: number;
+    removed: boolean;
+}
+
+interface Item {
+    level: Level;
+    // Shows the item's label (and value). For a button, toggle or submenu this is its only button.
+    label: UITextButton | UIText;
+    buttons: UITextButton[];
+    submenu?: Level;
+    refresh?: () => void;
+    enabled: boolean;
+    removed: boolean;
+}
+
+function getElements(item: Item): (UITextButton | UIText)[] {
+    return item.buttons.includes(item.label as UITextButton) ? item.buttons : [item.label, ...item.buttons];
+}
+
+// A debug menu of nested submenus. Each submenu is split into pages of as many buttons as fit the menu's height, and
+// every item keeps one button, which is only shown (and moved into place) while its page is open.
+export class DebugMenu {
+    public constructor(player: mod.Player, options?: DebugMenu.Options) {
+        const height = options?.height ?? 300;
+
+        this._player = player;
+        this._width = options?.width ?? 300;
+        this._itemsPerPage = Math.max(1, Math.floor(height / ROW_HEIGHT) - FOOTER_ROWS);
+
+        this._container = new UIContainer({
+            receiver: player,
+            width: this._width,
+            height,
+            anchor: mod.UIAnchor.Center,
+            bgColor: UI.COLORS.BLACK,
+            bgFill: mod.UIBgFill.Blur,
+            bgAlpha: 0.8,
+            visible: options?.visible ?? false,
+            uiInputModeWhenVisible: true,
+        });
+
+        this._previousButton = this._createFooterButton(
+            mod.Message(mod.stringkeys.debugTool.buttons.previousPage),
+            mod.UIAnchor.BottomLeft,
+            ROW_HEIGHT,
+            () => this._turnPage(-1)
+        );
+
+        this._nextButton = this._createFooterButton(
+            mod.Message(mod.stringkeys.debugTool.buttons.nextPage),
+            mod.UIAnchor.BottomRight,
+            ROW_HEIGHT,
+            () => this._turnPage(1)
+        );
+
+        this._backButton = this._createFooterButton(
+            mod.Message(mod.stringkeys.debugTool.buttons.back),
+            mod.UIAnchor.BottomLeft,
+            0,
+            () => this._open(this._current.parent ?? this._root)
+        );
+
+        this._createFooterButton(
+            mod.Message(mod.stringkeys.debugTool.buttons.close),
+            mod.UIAnchor.BottomRight,
+            0,
+            () => this.hide(),
+            UI.COLORS.BF_RED_BRIGHT
+        );
+
+        this._render();
+    }
+
+    private _player: mod.Player;
+
+    private _width: number;
+
+    private _itemsPerPage: number;
+
+    private _container: UIContainer;
+
+    private _previousButton: UITextButton;
+
+    private _nextButton: UITextButton;
+
+    private _backButton: UITextButton;
+
+    private _root: Level = { items: [], parent: undefined, page: 0, removed: false };
+
+    // The open submenu, and the items of its open page.
+    private _current: Level = this._root;
+
+    private _shownItems: Item[] = [];
+
+    /** The top level of the menu. */
+    public get root(): DebugMenu.Menu {
+        return this._createMenu(this._root);
+    }
+
+    public show(): void {
+        this._render();
+        this._container.show();
+        mod.EnableUIInputMode(true, this._player);
+    }
+
+    public hide(): void {
+        this._container.hide();
+        mod.EnableUIInputMode(false, this._player);
+    }
+
+    public delete(): void {
+        this._container.delete();
+    }
+
+    private _createFooterButton(
+        message: mod.Message,
+        anchor: mod.UIAnchor,
+        y: number,
+        onClickUp: () => void,
+        textColor: mod.Vector = UI.COLORS.WHITE
+    ): UITextButton {
+        return new UITextButton({
+            x: 0,
+            y,
+            width: this._width / 2,
+            height: ROW_HEIGHT,
+            anchor,
+            bgColor: UI.COLORS.GREY_25,
+            baseColor: UI.COLORS.BLACK,
+            message,
+            textSize: 20,
+            textColor,
+            onClickUp: async (player: mod.Player): Promise<void> => {
+                onClickUp();
+            },
+            parent: this._container,
+            receiver: this._player,
+        });
+    }
+
+    private _createMenu(level: Level): DebugMenu.Menu {
+        return {
+            addButton: (label, onClickUp) => {
+                const button = this._createButton(label, UI.COLORS.BF_GREEN_BRIGHT, onClickUp);
+                const item = this._insertItem(this._createItem(level, button, [button]));
+
+                return { ...this._createHandle(item), setLabel: (message) => (button.message = message) };
+            },
+            addToggle: (label, getValue, setValue) => {
+                const toggleMessage = () =>
+                    getValue()
+                        ? mod.Message(mod.stringkeys.debugTool.toggle.on, label)
+                        : mod.Message(mod.stringkeys.debugTool.toggle.off, label);
+
+                const button = this._createButton(toggleMessage(), UI.COLORS.BF_GREEN_BRIGHT, async (player) => {
+                    await setValue(!getValue(), player);
+                    item.refresh?.();
+                });
+
+                const item = this._createItem(level, button, [button]);
+
+                item.refresh = () => {
+                    button.message = toggleMessage();
+                };
+
+                return this._createControl(this._insertItem(item));
+            },
+            addStepper: (label, { min, max, step = 1, getValue, setValue }) => {
+                // Round to the step's decimals, so that repeated steps of e.g. 0.1 do not drift.
+                const decimals = `${step}`.split('.')[1]?.length ?? 0;
+
+                const stepBy = async (direction: number, player: mod.Player): Promise<void> => {
+                    const value = Math.min(max, Math.max(min, getValue() + direction * step));
+
+                    await setValue(Number(value.toFixed(decimals)), player);
+                    item.refresh?.();
+                };
+
+                const item = this._createArrowItem(
+                    level,
+                    mod.Message(mod.stringkeys.debugTool.control.value, label, getValue()),
+                    mod.Message(mod.stringkeys.debugTool.control.decrease),
+                    mod.Message(mod.stringkeys.debugTool.control.increase),
+                    (player) => stepBy(-1, player),
+                    (player) => stepBy(1, player)
+                );
+
+                const [decreaseButton, increaseButton] = item.buttons;
+
+                item.refresh = () => {
+                    const value = getValue();
+
+                    item.label.message = mod.Message(mod.stringkeys.debugTool.control.value, label, value);
+                    decreaseButton.enabled = item.enabled && value > min;
+                    increaseButton.enabled = item.enabled && value < max;
+                };
+
+                item.refresh();
+
+                return this._createControl(this._insertItem(item));
+            },
+            addPicker: <T>(label: string, { values, getValue, setValue, formatValue }: DebugMenu.PickerOptions<T>) => {
+                const format =
+                    formatValue ?? ((value: T) => (typeof value === 'number' ? value : values.indexOf(value)));
+
+                // Move through the values from the current one, wrapping around at either end. A current value that is not
+                // in the list moves to the first value (or, going back, the last).
+                const pick = async (direction: number, player: mod.Player): Promise<void> => {
+                    if (values.length === 0) return;
+
+                    const index = values.indexOf(getValue());
+                    const from = index === -1 && direction < 0 ? 0 : index;
+
+                    await setValue(values[(from + direction + values.length) % values.length], player);
+                    item.refresh?.();
+                };
+
+                const item = this._createArrowItem(
+                    level,
+                    mod.Message(mod.stringkeys.debugTool.control.value, label, format(getValue())),
+                    mod.Message(mod.stringkeys.debugTool.control.previous),
+                    mod.Message(mod.stringkeys.debugTool.control.next),
+                    (player) => pick(-1, player),
+                    (player) => pick(1, player)
+                );
+
+                item.refresh = () => {
+                    item.label.message = mod.Message(mod.stringkeys.debugTool.control.value, label, format(getValue()));
+                };
+
+                return this._createControl(this._insertItem(item));
+            },
+            addSubmenu: (label) => {
+                const submenu: Level = { items: [], parent: level, page: 0, removed: false };
+                const button = this._createButton(label, UI.COLORS.WHITE, () => this._open(submenu));
+                const item = this._createItem(level, button, [button]);
+
+                item.submenu = submenu;
+                this._insertItem(item);
+
+                return {
+                    ...this._createMenu(submenu),
+                    ...this._createHandle(item),
+                    setLabel: (message) => (button.message = message),
+                    open: () => this._open(submenu),
+                };
+            },
+        };
+    }
+
+    private _createHandle(item: Item): DebugMenu.Item {
+        return {
+            setEnabled: (enabled) => {
+                if (item.removed) return;
+
+                item.enabled = enabled;
+
+                for (const button of item.buttons) button.enabled = enabled;
+
+                // Steppers also disable their -/+ buttons at the ends of their range.
+                item.refresh?.();
+            },
+            remove: () => this._removeItem(item),
+        };
+    }
+
+    private _createControl(item: Item): DebugMenu.Control {
+        return { ...this._createHandle(item), refresh: () => item.refresh?.() };
+    }
+
+    private _createButton(
+        message: mod.Message,
+        textColor: mod.Vector,
+        onClickUp: (player: mod.Player) => Promise<void> | void,
+        anchor: mod.UIAnchor = mod.UIAnchor.TopCenter,
+        width: number = this._width
+    ): UITextButton {
+        return new UITextButton({
+            x: 0,
+            y: 0,
+            width,
+            height: ROW_HEIGHT,
+            anchor,
+            bgColor: UI.COLORS.GREY_25,
+            baseColor: UI.COLORS.BLACK,
+            message,
+            textSize: 20,
+            textColor,
+            visible: false,
+            onClickUp,
+            parent: this._container,
+            receiver: this._player,
+        });
+    }
+
+    private _createItem(level: Level, label: UITextButton | UIText, buttons: UITextButton[]): Item {
+        return { level, label, buttons, enabled: true, removed: false };
+    }
+
+    // A row with the label in the middle and a button either side, for steppers and pickers.
+    private _createArrowItem(
+        level: Level,
+        message: mod.Message,
+        decreaseMessage: mod.Message,
+        increaseMessage: mod.Message,
+        onDecrease: (player: mod.Player) => Promise<void>,
+        onIncrease: (player: mod.Player) => Promise<void>
+    ): Item {
+        const label = new UIText({
+            x: 0,
+            y: 0,
+            width: this._width - ARROW_WIDTH * 2,
+            height: ROW_HEIGHT,
+            anchor: mod.UIAnchor.TopCenter,
+            message,
+            textSize: 20,
+            textColor: UI.COLORS.BF_GREEN_BRIGHT,
+            textAnchor: mod.UIAnchor.Center,
+            visible: false,
+            parent: this._container,
+            receiver: this._player,
+        });
+
+        const buttons = [
+            this._createButton(decreaseMessage, UI.COLORS.WHITE, onDecrease, mod.UIAnchor.TopLeft, ARROW_WIDTH),
+            this._createButton(increaseMessage, UI.COLORS.WHITE, onIncrease, mod.UIAnchor.TopRight, ARROW_WIDTH),
+        ];
+
+        return this._createItem(level, label, buttons);
+    }
+
+    private _insertItem(item: Item): Item {
+        item.level.items.push(item);
+
+        if (item.level === this._current) this._render();
+
+        return item;
+    }
+
+    private _removeItem(item: Item): void {
+        if (item.removed) return;
+
+        item.level.items.splice(item.level.items.indexOf(item), 1);
+        this._deleteItem(item);
+
+        // If the open submenu was (inside) the removed one, fall back to the closest submenu that is left.
+        while (this._current.removed && this._current.parent) this._current = this._current.parent;
+
+        this._render();
+    }
+
+    private _deleteItem(item: Item): void {
+        item.removed = true;
+
+        for (const element of getElements(item)) element.delete();
+
+        if (!item.submenu) return;
+
+        item.submenu.removed = true;
+
+        for (const child of item.submenu.items) this._deleteItem(child);
+    }
+
+    private _open(level: Level): void {
+        this._current = level;
+        this._render();
+    }
+
+    private _turnPage(delta: number): void {
+        this._current.page += delta;
+        this._render();
+    }
+
+    private _render(): void {
+        for (const item of this._shownItems) {
+            if (item.removed) continue;
+
+            for (const element of getElements(item)) element.hide();
+        }
+
+        const level = this._current;
+        const pageCount = Math.max(1, Math.ceil(level.items.length / this._itemsPerPage));
+
+        level.page = Math.min(Math.max(level.page, 0), pageCount - 1);
+
+        const start = level.page * this._itemsPerPage;
+
+        this._shownItems = level.items.slice(start, start + this._itemsPerPage);
+
+        this._shownItems.forEach((item, index) => {
+            // Controls show their current value, which may have changed since the page was last open.
+            item.refresh?.();
+
+            for (const element of getElements(item)) {
+                element.y = index * ROW_HEIGHT;
+                element.show();
+            }
+        });
+
+        this._previousButton.enabled = level.page > 0;
+        this._nextButton.enabled = level.page < pageCount - 1;
+        this._backButton.enabled = level.parent !== undefined;
+    }
+}
+
+export namespace DebugMenu {
+    export interface Options {
+        visible?: boolean;
+        width?: number;
+        /** The menu shows as many 20px rows per page as fit, less two rows for the page, back and close buttons. */
+        height?: number;
+    }
+
+    export interface Item {
+        /** Grey the item out (disabled items ignore clicks) or enable it again. */
+        setEnabled(enabled: boolean): void;
+        /** Delete the item's button (and, for a submenu, everything in it). */
+        remove(): void;
+    }
+
+    export interface Button extends Item {
+        setLabel(message: mod.Message): void;
+    }
+
+    /** A toggle, stepper or picker. */
+    export interface Control extends Item {
+        /** Update the label after the value changed elsewhere (it is also updated whenever its page is shown). */
+        refresh(): void;
+    }
+
+    export interface StepperOptions {
+        min: number;
+        max: number;
+        /** Defaults to 1. */
+        step?: number;
+        getValue: () => number;
+        setValue: (value: number, player: mod.Player) => Promise<void> | void;
+    }
+
+    export interface PickerOptions<T> {
+        /** The values to pick from, in order, e.g. `Object.values(MapDetector.Map)` or a list of `mod.VehicleList`s. */
+        values: readonly T[];
+        getValue: () => T;
+        setValue: (value: T, player: mod.Player) => Promise<void> | void;
+        /**
+         * What to show for a value: a string key (e.g. the map's name from your strings.json) or a number.
+         * Defaults to the value itself for numbers (enum members, for example) and its index in `values` otherwise.
+         */
+        formatValue?: (value: T) => string | number;
+    }
+
+    export interface Menu {
+        addButton(label: mod.Message, onClickUp: (player: mod.Player) => Promise<void> | void): Button;
+        /**
+         * Add a button that flips a boolean and shows its value, e.g. "God Mode: ON". `label` is a string key from your
+         * strings.json rather than a message, since it is formatted into the ON/OFF strings.
+         */
+        addToggle(
+            label: string,
+            getValue: () => boolean,
+            setValue: (value: boolean, player: mod.Player) => Promise<void> | void
+        ): Control;
+        /** Add a number with -/+ buttons, e.g. "Spawn Distance: 20". `label` is a string key, as for toggles. */
+        addStepper(label: string, options: StepperOptions): Control;
+        /** Add a choice between values with </> buttons, e.g. "Map: Downtown". `label` is a string key. */
+        addPicker<T>(label: string, options: PickerOptions<T>): Control;
+        addSubmenu(label: mod.Message): Submenu;
+    }
+
+    export interface Submenu extends Menu, Button {
+        open(): void;
+    }
+}
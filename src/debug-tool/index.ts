@@ -1,7 +1,8 @@
 import { Logger } from 'bf6-portal-utils/logger/index.ts';
 import { UI } from 'bf6-portal-utils/ui/index.ts';
-import { UIContainer } from 'bf6-portal-utils/ui/components/container/index.ts';
-import { UITextButton } from 'bf6-portal-utils/ui/components/text-button/index.ts';
+
+import { DebugLog } from './debug-log.ts';
+import { DebugMenu } from './debug-menu.ts';
 
 export class DebugTool {
     public constructor(player: mod.Player, options?: DebugTool.Options) {
@@ -29,99 +30,57 @@ export class DebugTool {
             bgFill: mod.UIBgFill.Blur,
         });
 
-        const childrenParams: UIContainer.ChildParams<UITextButton.Params>[] = [
-            {
-                type: UITextButton,
-                y: 0,
-                width: 300,
-                height: 20,
-                anchor: mod.UIAnchor.TopCenter,
-                bgColor: UI.COLORS.GREY_25,
-                baseColor: UI.COLORS.BLACK,
-                message: mod.Message(mod.stringkeys.debugTool.buttons.toggleStaticLogger),
-                textSize: 20,
-                textColor: UI.COLORS.BF_GREEN_BRIGHT,
-                onClickUp: async (player: mod.Player): Promise<void> => {
-                    this._staticLogger.toggle();
-                },
-            },
-            {
-                type: UITextButton,
-                y: 20,
-                width: 300,
-                height: 20,
-                anchor: mod.UIAnchor.TopCenter,
-                bgColor: UI.COLORS.GREY_25,
-                baseColor: UI.COLORS.BLACK,
-                message: mod.Message(mod.stringkeys.debugTool.buttons.toggleDynamicLogger),
-                textSize: 20,
-                textColor: UI.COLORS.BF_GREEN_BRIGHT,
-                onClickUp: async (player: mod.Player): Promise<void> => {
-                    this._dynamicLogger.toggle();
-                },
-            },
-            {
-                type: UITextButton,
-                y: 40,
-                width: 300,
-                height: 20,
-                anchor: mod.UIAnchor.TopCenter,
-                bgColor: UI.COLORS.GREY_25,
-                baseColor: UI.COLORS.BLACK,
-                message: mod.Message(mod.stringkeys.debugTool.buttons.clearStaticLogger),
-                textSize: 20,
-                textColor: UI.COLORS.BF_GREEN_BRIGHT,
-                onClickUp: async (player: mod.Player): Promise<void> => {
-                    this._staticLogger.clear();
-                },
-            },
-            {
-                type: UITextButton,
-                y: 60,
-                width: 300,
-                height: 20,
-                anchor: mod.UIAnchor.TopCenter,
-                bgColor: UI.COLORS.GREY_25,
-                baseColor: UI.COLORS.BLACK,
-                message: mod.Message(mod.stringkeys.debugTool.buttons.clearDynamicLogger),
-                textSize: 20,
-                textColor: UI.COLORS.BF_GREEN_BRIGHT,
-                onClickUp: async (player: mod.Player): Promise<void> => {
-                    this._dynamicLogger.clear();
-                },
-            },
-            {
-                type: UITextButton,
-                y: 0,
-                width: 300,
-                height: 20,
-                anchor: mod.UIAnchor.BottomCenter,
-                bgColor: UI.COLORS.GREY_25,
-                baseColor: UI.COLORS.BLACK,
-                message: mod.Message(mod.stringkeys.debugTool.buttons.close),
-                textSize: 20,
-                textColor: UI.COLORS.BF_RED_BRIGHT,
-                onClickUp: async (player: mod.Player): Promise<void> => {
-                    mod.EnableUIInputMode(false, player);
-                    this._debugMenu.hide();
-                },
-            },
-        ];
-
-        const debugConfig: UIContainer.Params = {
-            receiver: player,
-            width: options?.debugMenu?.width ?? 300,
-            height: options?.debugMenu?.height ?? 300,
-            anchor: mod.UIAnchor.Center,
-            bgColor: UI.COLORS.BLACK,
+        // Warnings and errors from `log` get loggers of their own, since a logger draws all its text in one color.
+        this._warningLogger = new Logger(player, {
+            staticRows: false,
+            visible: options?.dynamicLogger?.visible ?? false,
+            anchor: options?.warningLogger?.anchor ?? mod.UIAnchor.BottomRight,
+            width: options?.warningLogger?.width ?? 500,
+            height: options?.warningLogger?.height ?? 200,
+            textColor: UI.COLORS.YELLOW,
+            bgAlpha: 0.8,
             bgFill: mod.UIBgFill.Blur,
+        });
+
+        this._errorLogger = new Logger(player, {
+            staticRows: false,
+            visible: options?.dynamicLogger?.visible ?? false,
+            anchor: options?.errorLogger?.anchor ?? mod.UIAnchor.BottomLeft,
+            width: options?.errorLogger?.width ?? 500,
+            height: options?.errorLogger?.height ?? 200,
+            textColor: UI.COLORS.RED,
             bgAlpha: 0.8,
-            visible: options?.debugMenu?.visible ?? false,
-            uiInputModeWhenVisible: true,
-            childrenParams,
-        };
+            bgFill: mod.UIBgFill.Blur,
+        });
 
-        this._debugMenu = new UIContainer(debugConfig);
+        this._debugMenu = new DebugMenu(player, options?.debugMenu);
+
+        const menu = this._debugMenu.root;
+
+        menu.addButton(mod.Message(mod.stringkeys.debugTool.buttons.toggleStaticLogger), () =>
+            this._staticLogger.toggle()
+        );
+
+        menu.addButton(mod.Message(mod.stringkeys.debugTool.buttons.toggleDynamicLogger), () =>
+            this._log.visible ? this.hideDynamicLogger() : this.showDynamicLogger()
+        );
+
+        menu.addButton(mod.Message(mod.stringkeys.debugTool.buttons.clearStaticLogger), () =>
+            this._staticLogger.clear()
+        );
+
+        menu.addButton(mod.Message(mod.stringkeys.debugTool.buttons.clearDynamicLogger), () =>
+            this.clearDynamicLogger()
+        );
+
+        this._log = new DebugLog(
+            {
+                write: (text, level) => this._getLoggerForLevel(level).logAsync(text),
+                clear: () => this.clearDynamicLogger(),
+            },
+            menu.addSubmenu(mod.Message(mod.stringkeys.debugTool.buttons.log)),
+            { ...options?.log, visible: options?.dynamicLogger?.visible ?? false }
+        );
     }
 
     private _player: mod.Player;
@@ -130,7 +89,18 @@ export class DebugTool {
 
     private _dynamicLogger: Logger;
 
-    private _debugMenu: UIContainer;
+    private _warningLogger: Logger;
+
+    private _errorLogger: Logger;
+
+    private _debugMenu: DebugMenu;
+
+    private _log: DebugLog;
+
+    private _commands = new Map<string, DebugTool.CommandHandler>();
+
+    // The debug menu's Commands submenu, created with the first command that has a button.
+    private _commandsMenu: DebugMenu.Submenu | undefined;
 
     public hideStaticLogger(): void {
         this._staticLogger.hide();
@@ -138,6 +108,9 @@ export class DebugTool {
 
     public hideDynamicLogger(): void {
         this._dynamicLogger.hide();
+        this._warningLogger.hide();
+        this._errorLogger.hide();
+        this._log.setVisible(false);
     }
 
     public showStaticLogger(): void {
@@ -146,6 +119,9 @@ export class DebugTool {
 
     public showDynamicLogger(): void {
         this._dynamicLogger.show();
+        this._warningLogger.show();
+        this._errorLogger.show();
+        this._log.setVisible(true);
     }
 
     public clearStaticLogger(): void {
@@ -154,54 +130,161 @@ export class DebugTool {
 
     public clearDynamicLogger(): void {
         this._dynamicLogger.clear();
+        this._warningLogger.clear();
+        this._errorLogger.clear();
     }
 
     public hideDebugMenu(): void {
         this._debugMenu.hide();
-        mod.EnableUIInputMode(false, this._player);
     }
 
     public showDebugMenu(): void {
         this._debugMenu.show();
-        mod.EnableUIInputMode(true, this._player);
     }
 
     public staticLog(text: string, row: number): void {
         this._staticLogger.logAsync(text, row);
     }
 
+    /** Leveled, channeled logging to the dynamic logger, e.g. `log.channel('vehicles').info('Vehicle spawned.')`. */
+    public get log(): DebugLog {
+        return this._log;
+    }
+
+    /** Log to the dynamic logger without a channel, at the `Info` level. */
     public dynamicLog(text: string): void {
-        this._dynamicLogger.logAsync(text);
+        this._log.log(DebugLog.Level.Info, undefined, text);
     }
 
     public destroy(): void {
         this._staticLogger.destroy();
         this._dynamicLogger.destroy();
+        this._warningLogger.destroy();
+        this._errorLogger.destroy();
         this._debugMenu.delete();
     }
 
-    public addDebugMenuButton(text: mod.Message, onClickUp: (player: mod.Player) => Promise<void> | void): void {
-        const requiredHeight = (this._debugMenu.children.length + 1) * 20; // If we include the new button.
+    /** Add a button to the top level of the debug menu. The menu pages its buttons, so there is no limit. */
+    public addDebugMenuButton(
+        text: mod.Message,
+        onClickUp: (player: mod.Player) => Promise<void> | void
+    ): DebugMenu.Button {
+        return this._debugMenu.root.addButton(text, onClickUp);
+    }
+
+    /** Add a button that flips a boolean and shows its value (see `DebugMenu.Menu.addToggle`). */
+    public addDebugMenuToggle(
+        label: string,
+        getValue: () => boolean,
+        setValue: (value: boolean, player: mod.Player) => Promise<void> | void
+    ): DebugMenu.Control {
+        return this._debugMenu.root.addToggle(label, getValue, setValue);
+    }
 
-        if (requiredHeight > this._debugMenu.height) {
-            this._debugMenu.height = requiredHeight;
+    /** Add a number with -/+ buttons to the top level of the debug menu (see `DebugMenu.Menu.addStepper`). */
+    public addDebugMenuStepper(label: string, options: DebugMenu.StepperOptions): DebugMenu.Control {
+        return this._debugMenu.root.addStepper(label, options);
+    }
+
+    /** Add a choice between values to the top level of the debug menu (see `DebugMenu.Menu.addPicker`). */
+    public addDebugMenuPicker<T>(label: string, options: DebugMenu.PickerOptions<T>): DebugMenu.Control {
+        return this._debugMenu.root.addPicker(label, options);
+    }
+
+    /** Add a submenu to the top level of the debug menu, and get a handle to add buttons, toggles and submenus to it. */
+    public addDebugSubmenu(label: mod.Message): DebugMenu.Submenu {
+        return this._debugMenu.root.addSubmenu(label);
+    }
+
+    /**
+     * Register a command that `runCommand` can run by name, e.g. `registerCommand('tp', ([point]) => ...)`. Give it a
+     * `label` and/or `presets` to also run it from buttons in the debug menu's Commands submenu. Registering a name
+     * again replaces its handler. Returns a function that unregisters the command and removes its buttons.
+     */
+    public registerCommand(
+        name: string,
+        handler: DebugTool.CommandHandler,
+        options?: DebugTool.CommandOptions
+    ): () => void {
+        this._commands.set(name, handler);
+
+        const presets = [...(options?.label ? [{ label: options.label, args: [] }] : []), ...(options?.presets ?? [])];
+
+        const buttons = presets.map(({ label, args }) =>
+            this._getCommandsMenu().addButton(label, async () => {
+                await this._runCommand(name, args);
+            })
+        );
+
+        return () => {
+            for (const button of buttons) button.remove();
+
+            // Leave the command alone if it has been registered again since.
+            if (this._commands.get(name) === handler) this._commands.delete(name);
+        };
+    }
+
+    /**
+     * Run a command line such as `tp B` (the command name, then its arguments, separated by spaces). The line and the
+     * command's result or error are logged to the dynamic logger. Resolves to whether the command succeeded.
+     */
+    public async runCommand(line: string): Promise<boolean> {
+        const [name, ...args] = line.trim().split(/\s+/);
+
+        return this._runCommand(name, args);
+    }
+
+    /**
+     * Run command lines one after another, e.g. a repeatable setup at startup: `['bots 5', 'tp B', 'give LMG']`. Stops
+     * at the first command that fails, and resolves to whether they all succeeded.
+     */
+    public async runCommands(lines: string[]): Promise<boolean> {
+        for (const line of lines) {
+            if (!(await this.runCommand(line))) return false;
         }
 
-        new UITextButton({
-            x: 0,
-            y: (this._debugMenu.children.length - 1) * 20, // Place second to last.
-            width: 300,
-            height: 20,
-            anchor: mod.UIAnchor.TopCenter,
-            bgColor: UI.COLORS.GREY_25,
-            baseColor: UI.COLORS.BLACK,
-            message: text,
-            textSize: 20,
-            textColor: UI.COLORS.BF_GREEN_BRIGHT,
-            onClickUp,
-            parent: this._debugMenu,
-            receiver: this._player,
-        });
+        return true;
+    }
+
+    private _getLoggerForLevel(level: DebugLog.Level): Logger {
+        if (level >= DebugLog.Level.Error) return this._errorLogger;
+        if (level >= DebugLog.Level.Warn) return this._warningLogger;
+
+        return this._dynamicLogger;
+    }
+
+    private _getCommandsMenu(): DebugMenu.Submenu {
+        if (!this._commandsMenu) {
+            this._commandsMenu = this._debugMenu.root.addSubmenu(
+                mod.Message(mod.stringkeys.debugTool.buttons.commands)
+            );
+        }
+
+        return this._commandsMenu;
+    }
+
+    private async _runCommand(name: string, args: string[]): Promise<boolean> {
+        const log = this._log.channel('commands', mod.stringkeys.debugTool.buttons.commands);
+
+        log.info(`> ${[name, ...args].join(' ')}`);
+
+        const handler = this._commands.get(name);
+
+        if (!handler) {
+            log.error(`Unknown command: ${name}`);
+            return false;
+        }
+
+        try {
+            const result = await handler(args, this._player);
+
+            if (result) log.info(result);
+
+            return true;
+        } catch (error) {
+            log.error(error instanceof Error ? error.message : String(error));
+            return false;
+        }
     }
 }
 
@@ -219,10 +302,29 @@ export namespace DebugTool {
             width?: number;
             height?: number;
         };
-        debugMenu?: {
-            visible?: boolean;
+        /** Where `log` writes warnings, in yellow. Shown, hidden and cleared with the dynamic logger. */
+        warningLogger?: {
+            anchor?: mod.UIAnchor;
+            width?: number;
+            height?: number;
+        };
+        /** Where `log` writes errors, in red. Shown, hidden and cleared with the dynamic logger. */
+        errorLogger?: {
+            anchor?: mod.UIAnchor;
             width?: number;
             height?: number;
         };
+        debugMenu?: DebugMenu.Options;
+        log?: Omit<DebugLog.Options, 'visible'>;
+    }
+
+    /** Runs a command for the debug tool's player. A returned string is logged to the dynamic logger. */
+    export type CommandHandler = (args: string[], player: mod.Player) => Promise<string | void> | string | void;
+
+    export interface CommandOptions {
+        /** Label of a button in the Commands submenu that runs the command without arguments. */
+        label?: mod.Message;
+        /** Buttons in the Commands submenu that run the command with preset arguments. */
+        presets?: { label: mod.Message; args: string[] }[];
     }
 }
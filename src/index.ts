@@ -5,23 +5,38 @@ import { MapDetector } from 'bf6-portal-utils/map-detector/index.ts';
 import { Vectors } from 'bf6-portal-utils/vectors/index.ts';
 
 import { DebugTool } from './debug-tool/index.ts';
+import { AdminRegistry } from './debug-tool/admin-registry.ts';
 import { getPlayerStateVectorString } from './helpers/index.ts';
 
-let adminDebugTool: DebugTool | undefined;
-let telemetryInterval: number | undefined;
+// Telemetry intervals of the deployed admins, by ObjId.
+const telemetryIntervals = new Map<number, number>();
+
+// How far in front of an admin vehicles spawn, in meters, until they change it with the debug menu's stepper.
+const DEFAULT_VEHICLE_SPAWN_DISTANCE = 20;
+
+// Vehicle spawn distances of the admins who changed theirs, by ObjId.
+const vehicleSpawnDistances = new Map<number, number>();
+
+function getVehicleSpawnDistance(playerId: number): number {
+    return vehicleSpawnDistances.get(playerId) ?? DEFAULT_VEHICLE_SPAWN_DISTANCE;
+}
 
 async function spawnVehicle(player: mod.Player, vehicleType: mod.VehicleList): Promise<void> {
     const playerPosition = mod.GetSoldierState(player, mod.SoldierStateVector.GetPosition);
     const playerFacingDirection = mod.GetSoldierState(player, mod.SoldierStateVector.GetFacingDirection);
+    const spawnDistance = getVehicleSpawnDistance(mod.GetObjId(player));
 
-    // Create position 20 meters in front of player (facing direction).
+    // Create position `spawnDistance` meters in front of player (facing direction).
     const position = mod.CreateVector(
-        mod.XComponentOf(playerPosition) + mod.XComponentOf(playerFacingDirection) * 20,
+        mod.XComponentOf(playerPosition) + mod.XComponentOf(playerFacingDirection) * spawnDistance,
         mod.YComponentOf(playerPosition),
-        mod.ZComponentOf(playerPosition) + mod.ZComponentOf(playerFacingDirection) * 20
+        mod.ZComponentOf(playerPosition) + mod.ZComponentOf(playerFacingDirection) * spawnDistance
     );
 
-    adminDebugTool?.dynamicLog(`Spawning vehicle spawner at ${Vectors.getVectorString(position)}`);
+    // Log to the vehicles channel of the admin who spawned the vehicle (if they still have the debug tool).
+    const log = (text: string) => admins.getDebugTool(player)?.log.channel('vehicles').info(text);
+
+    log(`Spawning vehicle spawner at ${Vectors.getVectorString(position)}`);
 
     const spawner = mod.SpawnObject(
         mod.RuntimeSpawn_Common.VehicleSpawner,
@@ -32,13 +47,13 @@ async function spawnVehicle(player: mod.Player, vehicleType: mod.VehicleList): P
     // Need to wait a bit before setting the vehicle spawner settings.
     await mod.Wait(1);
 
-    adminDebugTool?.dynamicLog(`Setting vehicle spawner settings.`);
+    log(`Setting vehicle spawner settings.`);
 
     mod.SetVehicleSpawnerVehicleType(spawner, vehicleType);
     mod.SetVehicleSpawnerAutoSpawn(spawner, true);
     mod.SetVehicleSpawnerRespawnTime(spawner, 1);
 
-    adminDebugTool?.dynamicLog(`Spawning vehicle in 1 second.`);
+    log(`Spawning vehicle in 1 second.`);
 
     // We do not want the vehicle spawner to spawn another vehicle after the first one has been destroyed, and if we
     // simply set the auto spawn to false, the vehicle will still exist as an object, which is a waste of resourced.
@@ -57,7 +72,7 @@ async function spawnVehicle(player: mod.Player, vehicleType: mod.VehicleList): P
         // Unsubscribe from the OnVehicleSpawned event as this context no longer needs to know when a vehicle has spawned.
         unsubscribeFromOnVehicleSpawned();
 
-        adminDebugTool?.dynamicLog(`Vehicle spawned.`);
+        log(`Vehicle spawned.`);
 
         // Disable automatic vehicle respawning for the spawner as we're going to unspawn it once the vehicle's destroyed.
         mod.SetVehicleSpawnerAutoSpawn(spawner, false);
@@ -69,98 +84,102 @@ async function spawnVehicle(player: mod.Player, vehicleType: mod.VehicleList): P
             // Unsubscribe from the OnVehicleDestroyed event as this context no longer needs to know when the vehicle is destroyed.
             unsubscribeFromOnVehicleDestroyed();
 
-            adminDebugTool?.dynamicLog(`Vehicle destroyed.`);
+            log(`Vehicle destroyed.`);
 
             // Unspawn the vehicle spawner.
             mod.UnspawnObject(spawner);
 
-            adminDebugTool?.dynamicLog(`Vehicle spawner unspawned.`);
+            log(`Vehicle spawner unspawned.`);
         });
     });
 }
 
-function createAdminDebugTool(player: mod.Player): void {
-    // The admin player is player id 0 for non-persistent test servers,
-    // so don't do the rest of this unless it's the admin player.
-    if (mod.GetObjId(player) != 0) return;
-
-    // Create a debug tool with a static logger visible by default.
-    const debugToolOptions: DebugTool.Options = {
-        staticLogger: {
-            visible: true,
-        },
-        dynamicLogger: {
-            visible: false,
-        },
-        debugMenu: {
-            visible: false,
-        },
-    };
-
-    adminDebugTool = new DebugTool(player, debugToolOptions);
+function setUpAdmin(player: mod.Player, debugTool: DebugTool): () => void {
+    // Keep the ObjId for the cleanup, which can run after the player has left the game.
+    const playerId = mod.GetObjId(player);
 
     // Create a multi-click detector to open the debug menu when the player triple-clicks the interact key.
-    new MultiClickDetector(player, () => {
-        adminDebugTool?.showDebugMenu();
+    const multiClickDetector = new MultiClickDetector(player, () => {
+        debugTool.showDebugMenu();
     });
 
-    // Add a debug menu button to spawn an AH64 helicopter.
-    adminDebugTool?.addDebugMenuButton(mod.Message(mod.stringkeys.template.debug.buttons.spawnHelicopter), () =>
+    // Add a debug submenu for the vehicle buttons.
+    const vehicles = debugTool.addDebugSubmenu(mod.Message(mod.stringkeys.template.debug.buttons.vehicles));
+
+    // Add a stepper to the submenu to change how far in front of this admin vehicles spawn.
+    vehicles.addStepper(mod.stringkeys.template.debug.controls.spawnDistance, {
+        min: 10,
+        max: 100,
+        step: 5,
+        getValue: () => getVehicleSpawnDistance(playerId),
+        setValue: (value) => {
+            vehicleSpawnDistances.set(playerId, value);
+        },
+    });
+
+    // Add a button to the submenu to spawn an AH64 helicopter.
+    vehicles.addButton(mod.Message(mod.stringkeys.template.debug.buttons.spawnHelicopter), () =>
         spawnVehicle(player, mod.VehicleList.AH64)
     );
 
-    // Add a debug menu button to spawn a golf cart.
-    adminDebugTool?.addDebugMenuButton(mod.Message(mod.stringkeys.template.debug.buttons.spawnGolfCart), () =>
+    // Add a button to the submenu to spawn a golf cart.
+    vehicles.addButton(mod.Message(mod.stringkeys.template.debug.buttons.spawnGolfCart), () =>
         spawnVehicle(player, mod.VehicleList.GolfCart)
     );
 
+    // Add a toggle for the vehicles log channel to the debug menu's Log submenu.
+    debugTool.log.channel('vehicles', mod.stringkeys.template.debug.channels.vehicles);
+
     // Log a message to the static logger.
-    adminDebugTool?.staticLog(`Triple-click interact key to open debug menu.`, 0);
-}
+    debugTool.staticLog(`Triple-click interact key to open debug menu.`, 0);
 
-function destroyAdminDebugTool(playerId: number): void {
-    // If the player is not the admin player, then we know the admin is still in the game, so we can exit this function.
-    if (playerId !== 0) return;
+    // If the admin already deployed (e.g. they were handed the debug tool), start their telemetry now.
+    if (mod.GetSoldierState(player, mod.SoldierStateBool.IsAlive)) showTelemetry(player);
 
-    // Clear the telemetry interval so it doesn't continue to log the admin's position and facing direction, and
-    // destroy the debug tool.
-    Timers.clearInterval(telemetryInterval);
-    adminDebugTool?.destroy();
-    telemetryInterval = undefined;
-    adminDebugTool = undefined;
+    // Called when the admin leaves or loses the debug tool, before it is destroyed.
+    return () => {
+        multiClickDetector.destroy();
+        clearTelemetryInterval(playerId);
+        vehicleSpawnDistances.delete(playerId);
+    };
 }
 
 function showTelemetry(player: mod.Player): void {
-    // The admin player is player id 0 for non-persistent test servers,
-    // so don't do the rest of this unless it's the admin player.
-    if (mod.GetObjId(player) != 0) return;
+    const debugTool = admins.getDebugTool(player);
+
+    // Only admins have a static logger to show telemetry in.
+    if (!debugTool) return;
+
+    const playerId = mod.GetObjId(player);
+
+    clearTelemetryInterval(playerId);
 
     // Log the admin's position and facing direction to the static logger, in rows 1 and 2, every second.
-    telemetryInterval = Timers.setInterval(() => {
-        adminDebugTool?.staticLog(
-            `Position: ${getPlayerStateVectorString(player, mod.SoldierStateVector.GetPosition)}`,
-            1
-        );
+    const interval = Timers.setInterval(() => {
+        debugTool.staticLog(`Position: ${getPlayerStateVectorString(player, mod.SoldierStateVector.GetPosition)}`, 1);
 
-        adminDebugTool?.staticLog(
+        debugTool.staticLog(
             `Facing: ${getPlayerStateVectorString(player, mod.SoldierStateVector.GetFacingDirection)}`,
             2
         );
     }, 1000);
-}
 
-function stopTelemetry(player: mod.Player): void {
-    // The admin player is player id 0 for non-persistent test servers,
-    // so don't do the rest of this unless it's the admin player.
-    if (mod.GetObjId(player) != 0) return;
+    telemetryIntervals.set(playerId, interval);
+}
 
+function clearTelemetryInterval(playerId: number): void {
     // Clear the telemetry interval so it doesn't continue to log the admin's position and facing direction.
-    Timers.clearInterval(telemetryInterval);
+    Timers.clearInterval(telemetryIntervals.get(playerId));
+    telemetryIntervals.delete(playerId);
+}
+
+function stopTelemetry(player: mod.Player): void {
+    clearTelemetryInterval(mod.GetObjId(player));
 }
 
 function handlePlayerDeployed(player: mod.Player): void {
     // Log a message to the dynamic logger that the player has deployed.
-    adminDebugTool?.dynamicLog(`Player ${mod.GetObjId(player)} deployed.`);
+    admins.dynamicLog(`Player ${mod.GetObjId(player)} deployed.`);
 
     // Get the current map (Can be undefined if the map cannot be determined).
     const map = MapDetector.currentMap();
@@ -175,11 +194,27 @@ function handlePlayerDeployed(player: mod.Player): void {
     }
 }
 
-// Event subscriptions for the admin debug tool.
-Events.OnPlayerJoinGame.subscribe(createAdminDebugTool);
+// Gives the debug tool to player 0 (the host of a non-persistent test server) and hands it over to the player who has
+// been in the game longest when the admin leaves. Pass a `rule` to pick admins by ObjId, name or team instead.
+const admins = new AdminRegistry({
+    // Create each admin's debug tool with a static logger visible by default.
+    debugTool: {
+        staticLogger: {
+            visible: true,
+        },
+        dynamicLogger: {
+            visible: false,
+        },
+        debugMenu: {
+            visible: false,
+        },
+    },
+    onGrant: setUpAdmin,
+});
+
+// Event subscriptions for the admins' telemetry.
 Events.OnPlayerDeployed.subscribe(showTelemetry);
 Events.OnPlayerUndeploy.subscribe(stopTelemetry);
-Events.OnPlayerLeaveGame.subscribe(destroyAdminDebugTool);
 
 // Event subscriptions for notifying players of their name and the current map.
 Events.OnPlayerDeployed.subscribe(handlePlayerDeployed);